@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+// izysays CLI - renders markdown with the same pipeline as the content script
+//
+// Usage:
+//   izysays render <in.md|-> [-o out.html] [--fragment] [--trust <level>]
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { basename, dirname, join, resolve } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { renderFile } from '../src/renderer.js';
+import { frontmatterText } from '../src/frontmatter.js';
+
+const rootDir = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+const usage = `Usage: izysays render <in.md|-> [-o out.html] [--fragment] [--trust <level>]
+
+Options:
+  -o, --output <file>  Write the HTML to <file> instead of stdout
+  --fragment           Emit only the rendered markdown, without the page shell
+  --trust <level>      How raw HTML is handled: strict, safe (default) or trusted
+  -h, --help           Show this message`;
+
+function parseArgs(argv) {
+    const args = { command: null, input: null, output: null, fragment: false, trust: null, help: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') {
+            args.help = true;
+        } else if (arg === '-o' || arg === '--output') {
+            args.output = argv[++i];
+            if (!args.output) throw new Error(`${arg} requires a file name`);
+        } else if (arg === '--trust') {
+            args.trust = argv[++i];
+            if (!args.trust) throw new Error(`${arg} requires a level`);
+        } else if (arg === '--fragment') {
+            args.fragment = true;
+        } else if (arg.startsWith('-') && arg !== '-') {
+            throw new Error(`Unknown option: ${arg}`);
+        } else if (!args.command) {
+            args.command = arg;
+        } else if (!args.input) {
+            args.input = arg;
+        } else {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+    }
+
+    return args;
+}
+
+async function readInput(input) {
+    if (input !== '-') return readFile(input, 'utf8');
+
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+async function wrapDocument(renderedHtml, title) {
+    const css = await readFile(join(rootDir, 'style.css'), 'utf8');
+    const katexDir = join(rootDir, 'fonts', 'katex');
+    const katexCss = (await readFile(join(katexDir, 'katex.min.css'), 'utf8'))
+        .replace(/url\(fonts\//g, `url(${pathToFileURL(katexDir).href}/fonts/`);
+
+    return `<!doctype html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <style>
+${css}
+${katexCss}
+    </style>
+</head>
+<body>
+    <div id="markdown-content-container">
+${renderedHtml}
+    </div>
+</body>
+</html>
+`;
+}
+
+async function render(args) {
+    if (!args.input) throw new Error('render needs an input file (use - for stdin)');
+
+    const markdown = await readInput(args.input);
+    const options = args.trust ? { trust: args.trust } : {};
+    // Relative links and images keep pointing at the files next to the source
+    if (args.input !== '-') options.baseUrl = pathToFileURL(resolve(args.input)).href;
+    options.readFile = url => readFile(fileURLToPath(url), 'utf8');
+    const file = await renderFile(markdown, options);
+    for (const message of file.messages) {
+        const place = message.line ? `${message.line}:${message.column} ` : '';
+        console.error(`izysays: ${place}${message.reason}`);
+    }
+
+    const renderedHtml = String(file);
+    const frontmatterTitle = frontmatterText(file.data.frontmatter.title);
+    const title = frontmatterTitle?.trim()
+        ? frontmatterTitle
+        : args.input === '-' ? 'Markdown Preview' : basename(args.input);
+    const html = args.fragment ? `${renderedHtml}\n` : await wrapDocument(renderedHtml, title);
+
+    if (args.output) {
+        await writeFile(args.output, html, 'utf8');
+    } else {
+        process.stdout.write(html);
+    }
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    if (args.help || !args.command) {
+        console.log(usage);
+        return;
+    }
+
+    if (args.command !== 'render') {
+        throw new Error(`Unknown command: ${args.command}`);
+    }
+
+    await render(args);
+}
+
+main().catch(error => {
+    console.error(`izysays: ${error.message}`);
+    process.exitCode = 1;
+});
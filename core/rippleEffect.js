@@ -2,6 +2,7 @@
 document.addEventListener('click', function (e) {
 	// Create a container for the ripple effect
 	const rippleContainer = document.createElement('div');
+	rippleContainer.className = 'ripple-effect';
 	rippleContainer.style.position = 'fixed';
 	rippleContainer.style.left = e.clientX - 48 + 'px'; // Center the ripple at click position
 	rippleContainer.style.top = e.clientY - 48 + 'px';
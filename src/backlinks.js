@@ -0,0 +1,116 @@
+// backlinks.js - Lists the other notes in the same folder that link to this one
+// Found by reading the folder's file:// listing and scanning each markdown file
+// for [[wikilinks]] and ordinary links to the current file.
+
+import { listDirectory, readTextFile } from './fileAccess.js';
+
+const MARKDOWN_FILE = /\.(md|markdown|mdown)$/i;
+const WIKILINK = /!?\[\[([^\]|#\n]*)[^\]\n]*\]\]/g;
+const LINK = /\]\(\s*<?([^)\s>]+)/g;
+
+// What each note linked to when last read, by URL, so re-renders (such as
+// every live reload) only read the notes that changed since.
+// `{ modified, size, fileName, links }`
+const scanned = new Map();
+
+function normalize(path) {
+    let decoded = path;
+    try {
+        decoded = decodeURIComponent(path);
+    } catch {
+        // Keep the path as written
+    }
+    return decoded.replace(/^\.\//, '').toLowerCase();
+}
+
+/**
+ * Whether markdown source links to a file, by wikilink or relative link
+ * @param {string} markdown - The source to scan
+ * @param {string} fileName - Name of the linked file, such as `Note.md`
+ * @returns {boolean}
+ */
+export function linksTo(markdown, fileName) {
+    const name = fileName.toLowerCase();
+    const stem = name.replace(MARKDOWN_FILE, '');
+
+    for (const [, target] of markdown.matchAll(WIKILINK)) {
+        const wanted = normalize(target.trim());
+        if (wanted === stem || wanted === name) return true;
+    }
+    for (const [, url] of markdown.matchAll(LINK)) {
+        if (normalize(url.split('#')[0]) === name) return true;
+    }
+    return false;
+}
+
+// A listing without modification times can't tell what changed, so the note is read again
+async function noteLinksTo(note, fileName) {
+    const cached = scanned.get(note.url);
+    if (cached && note.modified !== null && cached.modified === note.modified &&
+        cached.size === note.size && cached.fileName === fileName) {
+        return cached.links;
+    }
+
+    const links = linksTo(await readTextFile(note.url), fileName);
+    scanned.set(note.url, { modified: note.modified, size: note.size, fileName, links });
+    return links;
+}
+
+/**
+ * Appends a backlinks section to the rendered content
+ * @param {Element} container - The rendered markdown container
+ * @param {string} pageUrl - URL of the open markdown file
+ */
+export async function renderBacklinks(container, pageUrl) {
+    const page = new URL(pageUrl);
+    const fileName = decodeURIComponent(page.pathname.split('/').pop());
+    const folder = new URL('./', page).href;
+
+    const section = document.createElement('section');
+    section.className = 'backlinks';
+    section.setAttribute('aria-label', 'Backlinks');
+
+    const title = document.createElement('div');
+    title.className = 'backlinks-title';
+    title.textContent = 'Backlinks';
+    section.appendChild(title);
+
+    let sources = [];
+    try {
+        const entries = await listDirectory(folder);
+        const notes = entries.filter(entry =>
+            !entry.isDirectory && MARKDOWN_FILE.test(entry.name) && entry.name !== fileName);
+
+        const checked = await Promise.all(notes.map(async (note) => {
+            try {
+                return await noteLinksTo(note, fileName) ? note : null;
+            } catch {
+                return null;
+            }
+        }));
+        sources = checked.filter(Boolean);
+    } catch (error) {
+        console.warn('zysays: Could not read the folder for backlinks:', error);
+    }
+
+    if (sources.length) {
+        const list = document.createElement('ul');
+        for (const source of sources) {
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            link.href = source.url;
+            link.className = 'markdown-link';
+            link.textContent = source.name.replace(MARKDOWN_FILE, '');
+            item.appendChild(link);
+            list.appendChild(item);
+        }
+        section.appendChild(list);
+    } else {
+        const empty = document.createElement('p');
+        empty.textContent = 'No other notes in this folder link here.';
+        section.appendChild(empty);
+    }
+
+    container.querySelector(':scope > .backlinks')?.remove();
+    container.appendChild(section);
+}
@@ -1,339 +1,56 @@
-import { unified } from "unified";
-import remarkParse from "remark-parse";
-import remarkGfm from "remark-gfm";
-import remarkRehype from "remark-rehype";
-import rehypeHighlight from "rehype-highlight";
-import rehypeStringify from "rehype-stringify";
-import a11yEmoji from '@fec/remark-a11y-emoji';
-import remarkFlexibleContainers from "remark-flexible-containers";
-import remarkFlexibleParagraphs from "remark-flexible-paragraphs";
-import remarkFrontmatter from 'remark-frontmatter'
-import remarkDirective from "remark-directive";
-import remarkTextr from 'remark-textr'
-import remarkToc from 'remark-toc'
-import sectionize from 'remark-sectionize'
-import remarkIns from 'remark-ins'
-import remarkSupersub from 'remark-supersub'
-import rehypeSlug from "rehype-slug";
-import rehypeAutolinkHeadings from 'rehype-autolink-headings'
-import remarkGithubAdmonitionsToDirectives from "remark-github-admonitions-to-directives";
-
-// content.js - Integrated version with text transformations
-// This version includes the text processing functions directly
-
-// Language to Font Awesome icon mapping
-const languageIcons = {
-    javascript: 'fab fa-js-square',
-    js: 'fab fa-js-square',
-    typescript: 'fab fa-js-square',
-    ts: 'fab fa-js-square',
-    python: 'fab fa-python',
-    py: 'fab fa-python',
-    java: 'fab fa-java',
-    php: 'fab fa-php',
-    html: 'fab fa-html5',
-    css: 'fab fa-css3-alt',
-    scss: 'fab fa-sass',
-    sass: 'fab fa-sass',
-    less: 'fab fa-less',
-    react: 'fab fa-react',
-    jsx: 'fab fa-react',
-    vue: 'fab fa-vuejs',
-    angular: 'fab fa-angular',
-    node: 'fab fa-node-js',
-    nodejs: 'fab fa-node-js',
-    npm: 'fab fa-npm',
-    yarn: 'fab fa-yarn',
-    docker: 'fab fa-docker',
-    git: 'fab fa-git-alt',
-    github: 'fab fa-github',
-    gitlab: 'fab fa-gitlab',
-    bitbucket: 'fab fa-bitbucket',
-    go: 'fas fa-code',
-    golang: 'fas fa-code',
-    rust: 'fas fa-cog',
-    cpp: 'fas fa-code',
-    'c++': 'fas fa-code',
-    c: 'fas fa-code',
-    csharp: 'fas fa-code',
-    'c#': 'fas fa-code',
-    swift: 'fab fa-swift',
-    kotlin: 'fas fa-code',
-    ruby: 'fas fa-gem',
-    rb: 'fas fa-gem',
-    shell: 'fas fa-terminal',
-    bash: 'fas fa-terminal',
-    sh: 'fas fa-terminal',
-    powershell: 'fas fa-terminal',
-    sql: 'fas fa-database',
-    mysql: 'fas fa-database',
-    postgresql: 'fas fa-database',
-    mongodb: 'fas fa-database',
-    json: 'fas fa-file-code',
-    xml: 'fas fa-code',
-    yaml: 'fas fa-file-code',
-    yml: 'fas fa-file-code',
-    toml: 'fas fa-file-code',
-    ini: 'fas fa-file-code',
-    markdown: 'fab fa-markdown',
-    md: 'fab fa-markdown',
-    text: 'fas fa-file-alt',
-    txt: 'fas fa-file-alt',
-    default: 'fas fa-code'
-};
+import { renderDocument } from "./renderClient.js";
+import { captureScrollAnchor, restoreScrollAnchor, watchSource } from "./liveReload.js";
+import { renderMermaidDiagrams } from "./mermaidDiagrams.js";
+import { loadSettings, saveSettings, onSettingsChanged, toRenderOptions } from "./settings.js";
+import { iconMarkup } from "./icons.js";
+import { renderOutline, toggleOutline, createOutlineButton } from "./outline.js";
+import { setupSourceView, updateSourceView, setSourceMode, getSourceMode, createSourceButton } from "./sourceView.js";
+import { markBrokenLinks } from "./links.js";
+import { showDiagnostics, addRuntimeProblem, createDiagnosticsButton } from "./diagnostics.js";
+import { readTextFile } from "./fileAccess.js";
+import { frontmatterText } from "./frontmatter.js";
+import { renderBacklinks } from "./backlinks.js";
+import { exportHtml } from "./exportHtml.js";
+import { recordRecentFile } from "./recentFiles.js";
+import { setupTaskLists, renderTaskLists, createTaskActions } from "./taskLists.js";
+import { setupSearch, openSearch, refreshSearch, createSearchButton } from "./search.js";
+import { applyTheme, applyUserCss, createThemeSwitcher, onThemeChange } from "./themes.js";
+
+// content.js - Renders local markdown files in place of the raw text
 
 // -----------------------------------------------------------------------------
-// TEXT TRANSFORMATION FUNCTIONS
+// MARKDOWN RENDERING
 // -----------------------------------------------------------------------------
 
-/**
- * Adds mark tags for highlighted text (==text==)
- */
-function addMarkTags(text) {
-    const markRegex = /==(.*?)==/g;
-    return text.replace(markRegex, '<mark>$1</mark>');
-}
-
-/**
- * Adds superscript spans for ^text^
- */
-function addSuperScript(text) {
-    const superRegex = /\^(.*?)\^/g;
-    return text.replace(superRegex, '<sup class="suptext">$1</sup>');
-}
-
-/**
- * Adds subscript spans for _-text-_
- */
-function addSubScript(text) {
-    const subRegex = /\_-(.*?)-\_/g;
-    return text.replace(subRegex, '<sub class="subtext">$1</sub>');
-}
-
-/**
- * Applies all text transformations to text nodes while preserving HTML structure
- */
-function applyTextTransformationsToTextNodes(element) {
-    if (['SCRIPT', 'STYLE', 'CODE', 'PRE'].includes(element.tagName)) {
-        return;
-    }
-
-    const walker = document.createTreeWalker(
-        element,
-        NodeFilter.SHOW_TEXT,
-        {
-            acceptNode: function(node) {
-                if (!node.textContent.trim() || 
-                    node.parentElement.tagName === 'CODE' ||
-                    node.parentElement.tagName === 'PRE') {
-                    return NodeFilter.FILTER_REJECT;
-                }
-                return NodeFilter.FILTER_ACCEPT;
-            }
-        }
-    );
+// The markdown that is currently shown, used to detect changes on reload
+let currentMarkdown = "";
 
-    const textNodes = [];
-    let node;
-    while (node = walker.nextNode()) {
-        textNodes.push(node);
-    }
-
-    textNodes.forEach(textNode => {
-        let content = textNode.textContent;
-        const originalContent = content;
-        
-        // Apply transformations
-        content = addMarkTags(content);
-        content = addSuperScript(content);
-        content = addSubScript(content);
-        
-        if (content !== originalContent) {
-            const tempDiv = document.createElement('div');
-            tempDiv.innerHTML = content;
-            
-            const fragment = document.createDocumentFragment();
-            while (tempDiv.firstChild) {
-                fragment.appendChild(tempDiv.firstChild);
-            }
-            
-            textNode.parentNode.replaceChild(fragment, textNode);
-        }
-    });
-}
+// Settings from the options page, read before the processor is built
+let settings = null;
 
-// -----------------------------------------------------------------------------
-// MARKDOWN PROCESSING FUNCTIONS
-// -----------------------------------------------------------------------------
+// scratchpad.html loads this script to render markdown pasted into the popup.
+// It has no file behind it, so live reload, backlinks and recent files skip it.
+const isScratchpad = document.documentElement.hasAttribute("data-zysays-scratchpad");
 
-// Helper function to traverse AST nodes
-function visit(node, callback) {
-    callback(node);
-    if (node.children) {
-        node.children.forEach(child => visit(child, callback));
-    }
-}
-
-// Custom rehype plugin to add language icons to code blocks
-function rehypeCodeLanguageIcons() {
-    return (tree) => {
-        visit(tree, (node) => {
-            if (node.type === 'element' && node.tagName === 'pre') {
-                const codeElement = node.children.find(child =>
-                    child.type === 'element' && child.tagName === 'code'
-                );
-
-                if (codeElement && codeElement.properties && codeElement.properties.className) {
-                    const languageClass = codeElement.properties.className.find(cls =>
-                        cls.startsWith('language-')
-                    );
-
-                    if (languageClass) {
-                        const language = languageClass.replace('language-', '').toLowerCase();
-                        const iconClass = languageIcons[language] || languageIcons.default;
-
-                        if (!node.properties) node.properties = {};
-                        if (!node.properties.className) node.properties.className = [];
-                        node.properties.className.push('has-language');
-                        node.properties['data-language'] = language;
-
-                        const languageIcon = {
-                            type: 'element',
-                            tagName: 'div',
-                            properties: {
-                                className: ['language-icon']
-                            },
-                            children: [
-                                {
-                                    type: 'element',
-                                    tagName: 'i',
-                                    properties: {
-                                        className: iconClass.split(' '),
-                                        title: language.toUpperCase()
-                                    },
-                                    children: []
-                                }
-                            ]
-                        };
-
-                        node.children.unshift(languageIcon);
-                    }
-                }
-            }
-        });
-    };
-}
-
-function rehypeAdmonitions() {
-    const admonitionTypes = ['note', 'tip', 'important', 'success', 'warning', 'caution', 'danger', 'error'];
-    const admonitionIcons = {
-        note: 'fas fa-info-circle',
-        tip: 'fas fa-lightbulb',
-        important: 'fas fa-exclamation-circle',
-        success: 'fas fa-check-circle',
-        warning: 'fas fa-exclamation-triangle',
-        caution: 'fas fa-exclamation-triangle',
-        danger: 'fas fa-skull-crossbones',
-        error: 'fas fa-times-circle',
-    };
-
-    return (tree) => {
-        visit(tree, (node) => {
-            if (node.type === 'containerDirective') {
-                const type = node.name.toLowerCase();
-                if (admonitionTypes.includes(type)) {
-                    node.type = 'element';
-                    node.tagName = 'div';
-                    node.properties = {
-                        className: ['admonition', `admonition-${type}`]
-                    };
-
-                    const titleText = node.children[0]?.data?.value || type.charAt(0).toUpperCase() + type.slice(1);
-                    const titleIconClass = admonitionIcons[type] || 'fas fa-info-circle';
-
-                    const titleNode = {
-                        type: 'element',
-                        tagName: 'div',
-                        properties: { className: ['admonition-title'] },
-                        children: [
-                            {
-                                type: 'element',
-                                tagName: 'i',
-                                properties: { className: titleIconClass.split(' ') },
-                                children: []
-                            },
-                            {
-                                type: 'text',
-                                value: ` ${titleText}`,
-                            }
-                        ]
-                    };
-                    
-                    const contentNode = {
-                        type: 'element',
-                        tagName: 'div',
-                        properties: { className: ['admonition-content'] },
-                        children: node.children.slice(1)
-                    };
-
-                    node.children = [titleNode, contentNode];
-                }
-            }
-        });
+// Options passed to the renderer for the open file
+function getRenderOptions() {
+    return {
+        ...toRenderOptions(settings, window.location.pathname),
+        baseUrl: window.location.href.split("#")[0],
+        readFile: readTextFile,
+        sourceLines: true,
+        taskOffsets: true
     };
 }
 
-// Simple ellipses plugin for remarkTextr
-function ellipses(input) {
-    return input.replace(/\.\.\./g, '…');
-}
-
-// Dynamic module loading function
-async function loadModules() {
-    try {
-        const modules = await Promise.all([
-            import('unified'),
-            import('remark-parse'),
-            import('remark-gfm'),
-            import('remark-rehype'),
-            import('rehype-highlight'),
-            import('rehype-stringify'),
-            import('@fec/remark-a11y-emoji'),
-            import('remark-frontmatter'),
-            import('remark-directive'),
-            import('remark-textr'),
-            import('remark-toc'),
-            import('remark-sectionize'),
-            import('remark-ins'),
-            import('remark-supersub'),
-            import('rehype-slug'),
-            import('rehype-autolink-headings'),
-            import('remark-github-admonitions-to-directives')
-        ]);
-
-        return {
-            unified: modules[0].unified,
-            remarkParse: modules[1].default,
-            remarkGfm: modules[2].default,
-            remarkRehype: modules[3].default,
-            rehypeHighlight: modules[4].default,
-            rehypeStringify: modules[5].default,
-            a11yEmoji: modules[6].default,
-            remarkFrontmatter: modules[7].default,
-            remarkDirective: modules[8].default,
-            remarkTextr: modules[9].default,
-            remarkToc: modules[10].default,
-            sectionize: modules[11].default,
-            remarkIns: modules[12].default,
-            remarkSupersub: modules[13].default,
-            rehypeSlug: modules[14].default,
-            rehypeAutolinkHeadings: modules[15].default,
-            remarkGithubAdmonitionsToDirectives: modules[16].default
-        };
-    } catch (error) {
-        console.error('Failed to load modules:', error);
-        throw new Error('Could not load required markdown processing modules');
-    }
+// The frontmatter title wins over the file name. Set through `document.title`
+// so a title containing markup stays text.
+function setPageTitle(frontmatter) {
+    const fileName = isScratchpad
+        ? "Scratchpad"
+        : decodeURIComponent(window.location.pathname.split("/").pop()) || "Markdown Preview";
+    const title = frontmatterText(frontmatter.title);
+    document.title = title?.trim() ? title : fileName;
 }
 
 async function renderMarkdown() {
@@ -347,97 +64,117 @@ async function renderMarkdown() {
         const isMarkdownFile = window.location.pathname.endsWith(".md") || 
                               window.location.pathname.endsWith(".markdown") || 
                               window.location.pathname.endsWith(".mdown");
-        if (!isMarkdownFile) {
+        if (!isMarkdownFile && !isScratchpad) {
             console.log("zysays: Not a markdown file.");
             return;
         }
 
-        document.body.style.display = "none";
-        
-        // Show loading message
-        document.body.innerHTML = `
-            <div style="padding: 20px; font-family: "Zed Plex Sans", sans-serif; text-align: center;">
-                <h2> Processing  </h2>
-                <p>Please wait while the markdown modules are loaded.</p>
-            </div>
-        `;
+        const renderStart = performance.now();
+        settings = await loadSettings();
 
-        // Dynamically load all required modules
-        const modules = await loadModules();
-        
         const rawMarkdown = preElement.textContent;
-        
-        const processor = modules.unified()
-            .use(modules.remarkParse)
-            .use(modules.remarkGfm)
-            .use(modules.remarkFrontmatter, ['yaml', 'toml'])
-            .use(modules.remarkGithubAdmonitionsToDirectives)
-            .use(modules.remarkDirective)
-            .use(modules.remarkToc, { heading: 'toc|table[ -]of[ -]contents' })
-            .use(modules.sectionize)
-            .use(modules.remarkTextr, { plugins: [ellipses] })
-            .use(modules.a11yEmoji)
-            .use(modules.remarkIns)
-            .use(modules.remarkSupersub)
-            .use(modules.remarkRehype, { allowDangerousHtml: true })
-            .use(modules.rehypeSlug)
-            .use(modules.rehypeAutolinkHeadings, {
-                behavior: 'prepend',
-                properties: { className: ['heading-anchor-link'] },
-                content: { type: 'text', value: '#' }
-            })
-            .use(modules.rehypeHighlight)
-            .use(rehypeCodeLanguageIcons)
-            .use(rehypeAdmonitions)
-            .use(modules.rehypeStringify, { allowDangerousHtml: true });
-
-        const file = await processor.process(rawMarkdown);
-        const renderedHtml = String(file);
+        currentMarkdown = rawMarkdown;
 
         if (window.stop) window.stop();
 
-        const title = document.title || window.location.pathname.split("/").pop() || "Markdown Preview";
-
+        // The page is set up first and the markdown streams in behind it
         document.documentElement.innerHTML = `
             <head>
                 <meta charset="UTF-8">
-                <link rel="shortcut-icon" type="image/x-icon" href="favicon.ico"/>
                 <meta name="viewport" content="width=device-width, initial-scale=1.0">
-                <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.5.2/css/all.min.css" integrity="sha512-SnH5WK+bZxgPHs44uWIX+LLJAJ9/2PkPKZ5QiAj6Ta86w+fsb2TkcmfRyVX3pBnMFcV7oQPJkl9QevSCWr3W6A==" crossorigin="anonymous" referrerpolicy="no-referrer" />
-                <link rel="stylesheet" href="style.css" />
-                <title>${title}</title>
             </head>
             <body>
-                <div id="markdown-content-container">
-                    ${renderedHtml}
+                <div id="markdown-content-container" aria-busy="true">
+                    <p class="render-progress">Rendering…</p>
                 </div>
             </body>
         `;
 
+        // Extension files only load through chrome.runtime.getURL; a relative
+        // path would resolve against the markdown file's folder
+        const icon = document.createElement("link");
+        icon.rel = "icon";
+        icon.href = chrome.runtime.getURL("favicon.ico");
+        document.head.appendChild(icon);
+
         // Inject main stylesheet
         const link = document.createElement("link");
         link.rel = "stylesheet";
         link.href = chrome.runtime.getURL("style.css");
+        const styleLoaded = new Promise(resolve => {
+            link.onload = link.onerror = resolve;
+        });
         document.head.appendChild(link);
 
-        // Add interactive features
-        addCodeCopyButtons();
-        
-        // Apply text transformations AFTER markdown processing
-        setTimeout(() => {
-            const contentContainer = document.querySelector('#markdown-content-container');
-            if (contentContainer) {
-                applyTextTransformationsToTextNodes(contentContainer);
-                console.log('Text transformations applied successfully');
+        // KaTeX styles and fonts ship with the extension so math renders offline
+        const mathLink = document.createElement("link");
+        mathLink.rel = "stylesheet";
+        mathLink.href = chrome.runtime.getURL("fonts/katex/katex.min.css");
+        document.head.appendChild(mathLink);
+
+        setPageTitle({});
+        applyTheme(settings.theme);
+        applyUserCss(settings.userCss);
+
+        const container = document.querySelector("#markdown-content-container");
+        let firstContent = null;
+        let streamed = false;
+        const showFirstContent = (summary) => {
+            if (firstContent !== null) return;
+            firstContent = Math.round(performance.now() - renderStart);
+            setPageTitle(summary.frontmatter);
+            // A theme set in the frontmatter applies until the user picks another one
+            if (summary.theme) applyTheme(summary.theme);
+        };
+
+        const result = await renderDocument(rawMarkdown, getRenderOptions(), {
+            onPreview: (html, summary) => {
+                container.innerHTML = html;
+                showFirstContent(summary);
+            },
+            onBatch: (pieces, summary) => {
+                if (!streamed) container.replaceChildren();
+                streamed = true;
+                appendPieces(container, pieces);
+                showFirstContent(summary);
             }
-        }, 100);
+        });
+        container.removeAttribute("aria-busy");
+        setupSourceView(container, rawMarkdown);
+        setupTaskLists(container, isScratchpad ? null : window.location.pathname);
+        setupSearch(container);
+        addToolbar(result.theme || settings.theme);
+        showDiagnostics(result.messages);
+        showFailureBanner(result.disabled);
+        renderTaskLists(rawMarkdown);
+
+        // Add interactive features
+        addCodeCopyButtons(container);
+
+        // Diagrams pick their theme from the page, so wait for the stylesheet
+        styleLoaded.then(() => renderMermaidDiagrams(container));
+        onThemeChange(() => renderMermaidDiagrams(container));
+        renderOutline(container);
+        markBrokenLinks(container, addRuntimeProblem);
+        updateBacklinks(container);
+        scrollToHash();
+        logRenderTimings("Rendered", renderStart, { firstContent, ...result.timings }, result.inWorker);
+
+        if (!isScratchpad) {
+            recordRecentFile(window.location.href.split("#")[0], document.title)
+                .catch(error => console.warn("zysays: Could not record recent file:", error));
+        }
 
-        document.body.style.display = "block";
+        setupPopupMessages();
+        setupLiveReload();
+        setupOutlineToggle();
+        setupSourceToggle();
+        setupSearchShortcut();
+        onSettingsChanged(applySettings);
 
     } catch (error) {
         console.error("Error rendering markdown:", error);
-        document.body.style.display = "block";
-        
+
         document.body.innerHTML = `
             <div style="padding: 20px; font-family: Arial, sans-serif;">
                 <h2>Error Rendering Markdown</h2>
@@ -452,10 +189,308 @@ async function renderMarkdown() {
     }
 }
 
-function addCodeCopyButtons() {
+// Places HTML streamed from the renderer: each piece goes into the element
+// reached by taking the last element child `depth` times
+function appendPieces(container, pieces) {
+    for (const { depth, html } of pieces) {
+        let target = container;
+        for (let level = 0; level < depth; level++) target = target.lastElementChild;
+        target.insertAdjacentHTML("beforeend", html);
+    }
+}
+
+// Step timings go to the console and, as a measure, to the DevTools performance panel
+function logRenderTimings(label, start, timings, inWorker) {
+    const total = Math.round(performance.now() - start);
+    performance.measure(`zysays: ${label}`, { start });
+    console.info(`zysays: ${label} in ${total} ms (${inWorker ? "worker" : "main thread"}), step timings in ms:`, { ...timings, total });
+}
+
+// Names what the render had to leave out after a plugin failed. Dismissing
+// it lasts until a re-render fails differently.
+let dismissedFailures = "";
+function showFailureBanner(disabled) {
+    const key = JSON.stringify(disabled);
+    let banner = document.querySelector("#zysays-failure-banner");
+    if (!disabled.length || key === dismissedFailures) {
+        banner?.remove();
+        return;
+    }
+
+    if (!banner) {
+        banner = document.createElement("div");
+        banner.id = "zysays-failure-banner";
+        banner.setAttribute("role", "alert");
+        document.querySelector("#markdown-content-container").before(banner);
+    }
+
+    const list = document.createElement("ul");
+    for (const { plugin, reason } of disabled) {
+        const item = document.createElement("li");
+        const name = document.createElement("strong");
+        name.textContent = plugin || "Everything but plain CommonMark";
+        item.append(name, `: ${reason}`);
+        list.appendChild(item);
+    }
+
+    const close = document.createElement("button");
+    close.type = "button";
+    close.className = "failure-banner-close";
+    close.innerHTML = iconMarkup("x");
+    close.title = "Dismiss";
+    close.addEventListener("click", () => {
+        dismissedFailures = key;
+        banner.remove();
+    });
+
+    const intro = document.createElement("p");
+    intro.textContent = "Part of this page failed to render, so it is shown without:";
+    banner.replaceChildren(close, intro, list);
+}
+
+// The backlinks section is optional and sits after the rendered markdown
+function updateBacklinks(container) {
+    if (settings.backlinks && !isScratchpad) {
+        renderBacklinks(container, window.location.href.split("#")[0]);
+    } else {
+        container.querySelector(':scope > .backlinks')?.remove();
+    }
+}
+
+// Heading ids only exist once the markdown is rendered, so a link such as
+// other.md#usage can't have scrolled anywhere on load
+function scrollToHash() {
+    if (!window.location.hash) return;
+
+    let id = window.location.hash.slice(1);
+    try {
+        id = decodeURIComponent(id);
+    } catch {
+        // Use the fragment as written
+    }
+    document.getElementById(id)?.scrollIntoView();
+}
+
+/**
+ * Re-renders only the content container, keeping the reader on the same heading
+ * @param {string} markdown - The new markdown source
+ */
+async function updateContent(markdown) {
+    const container = document.querySelector('#markdown-content-container');
+    if (!container) return;
+
+    // Collected off-screen and swapped in at once, so the page doesn't jump while reading
+    const renderStart = performance.now();
+    const fragment = document.createElement("div");
+    const result = await renderDocument(markdown, getRenderOptions(), {
+        onBatch: pieces => appendPieces(fragment, pieces)
+    });
+    const anchor = captureScrollAnchor(container);
+
+    container.replaceChildren(...fragment.childNodes);
+    currentMarkdown = markdown;
+    setPageTitle(result.frontmatter);
+    logRenderTimings("Re-rendered", renderStart, result.timings, result.inWorker);
+
+    addCodeCopyButtons(container);
+    renderOutline(container);
+    showDiagnostics(result.messages);
+    showFailureBanner(result.disabled);
+    markBrokenLinks(container, addRuntimeProblem);
+    updateBacklinks(container);
+    await renderMermaidDiagrams(container);
+    restoreScrollAnchor(anchor);
+    updateSourceView(markdown);
+    await renderTaskLists(markdown);
+    refreshSearch();
+}
+
+/**
+ * Picks up settings changed on the options page or by a shortcut, re-rendering
+ * only when something that affects the output changed
+ * @param {Object} newSettings - The full settings
+ */
+async function applySettings(newSettings) {
+    const previousOptions = JSON.stringify(getRenderOptions());
+    const previousTheme = settings.theme;
+    const previousBacklinks = settings.backlinks;
+    settings = newSettings;
+
+    // Leave a frontmatter theme alone unless the theme setting itself changed
+    if (settings.theme !== previousTheme) {
+        applyTheme(settings.theme);
+        const switcher = document.querySelector('.theme-switcher');
+        if (switcher) switcher.value = settings.theme;
+    }
+    applyUserCss(settings.userCss);
+
+    setLiveReload(settings.liveReload);
+    if (settings.backlinks !== previousBacklinks) {
+        updateBacklinks(document.querySelector('#markdown-content-container'));
+    }
+
+    if (JSON.stringify(getRenderOptions()) !== previousOptions) {
+        await updateContent(currentMarkdown);
+    }
+}
+
+// Page controls that sit outside the rendered markdown
+function addToolbar(theme) {
+    const toolbar = document.createElement("div");
+    toolbar.id = "zysays-toolbar";
+    toolbar.appendChild(createSearchButton());
+    toolbar.appendChild(createOutlineButton());
+    toolbar.appendChild(createSourceButton());
+    toolbar.appendChild(createDiagnosticsButton());
+    // Apply straight away too: picking the stored theme over a frontmatter one changes no setting
+    toolbar.appendChild(createThemeSwitcher(theme, picked => {
+        applyTheme(picked);
+        saveSettings({ theme: picked });
+    }));
+    toolbar.appendChild(createToolbarButton("Export", "Save as a self-contained HTML file", exportPage));
+    toolbar.appendChild(createToolbarButton("Print", "Print or save as PDF", () => window.print()));
+    toolbar.appendChild(createTaskActions());
+    document.body.appendChild(toolbar);
+}
+
+function createToolbarButton(text, title, onClick) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = text;
+    button.title = title;
+    button.addEventListener("click", onClick);
+    return button;
+}
+
+async function exportPage(event) {
+    const button = event.currentTarget;
+    const container = document.querySelector("#markdown-content-container");
+    const fileName = decodeURIComponent(window.location.pathname.split("/").pop())
+        .replace(/\.(md|markdown|mdown)$/i, "") || "document";
+
+    button.disabled = true;
+    try {
+        await exportHtml(container, `${fileName}.html`);
+    } catch (error) {
+        console.error("zysays: Export failed:", error);
+        button.innerHTML = iconMarkup("x");
+        setTimeout(() => {
+            button.textContent = "Export";
+        }, 2000);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// -----------------------------------------------------------------------------
+// LIVE RELOAD
+// -----------------------------------------------------------------------------
+
+// Off by default. Turned on from the options page, or toggled with Alt+R.
+const LIVE_RELOAD_INTERVAL = 1000;
+let stopLiveReload = null;
+
+function setLiveReload(enabled) {
+    // The scratchpad's URL is an extension page, not the markdown
+    if (isScratchpad) return;
+    if (enabled === Boolean(stopLiveReload)) return;
+
+    if (stopLiveReload) {
+        stopLiveReload();
+        stopLiveReload = null;
+    }
+
+    if (enabled) {
+        stopLiveReload = watchSource(window.location.href, {
+            initialText: currentMarkdown,
+            interval: LIVE_RELOAD_INTERVAL,
+            onChange: updateContent
+        });
+    }
+
+    console.log(`zysays: Live reload ${enabled ? "enabled" : "disabled"}.`);
+}
+
+function setupLiveReload() {
+    document.addEventListener("keydown", (event) => {
+        if (event.altKey && !event.ctrlKey && !event.metaKey && event.code === "KeyR") {
+            event.preventDefault();
+            saveSettings({ liveReload: !settings.liveReload });
+        }
+    });
+
+    setLiveReload(settings.liveReload);
+}
+
+// -----------------------------------------------------------------------------
+// SOURCE VIEW AND POPUP
+// -----------------------------------------------------------------------------
+
+// Alt+U puts the markdown source beside the page
+function setupSourceToggle() {
+    document.addEventListener("keydown", (event) => {
+        if (event.altKey && !event.ctrlKey && !event.metaKey && event.code === "KeyU") {
+            event.preventDefault();
+            setSourceMode(getSourceMode() === "split" ? "off" : "split");
+        }
+    });
+}
+
+// Ctrl+K from anywhere, or / when not typing in a field
+function setupSearchShortcut() {
+    document.addEventListener("keydown", (event) => {
+        const typing = event.target.closest?.("input, textarea, select, [contenteditable]");
+        const modified = event.ctrlKey || event.metaKey || event.altKey;
+        if (((event.ctrlKey || event.metaKey) && !event.altKey && event.code === "KeyK") || (event.key === "/" && !modified && !typing)) {
+            event.preventDefault();
+            openSearch();
+        }
+    });
+}
+
+// What the popup shows for this tab
+function pageStatus() {
+    const path = window.location.pathname;
+    return {
+        path,
+        title: document.title,
+        isScratchpad,
+        sourceMode: getSourceMode(),
+        trusted: settings.trustedPaths.includes(path)
+    };
+}
+
+// The popup (index.html) asks about and controls the active tab through messages
+function setupPopupMessages() {
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+        if (message.type === "zysays:status") {
+            sendResponse(pageStatus());
+        } else if (message.type === "zysays:toggleSource") {
+            setSourceMode(getSourceMode() === "off" ? "full" : "off");
+            sendResponse(pageStatus());
+        }
+    });
+}
+
+// -----------------------------------------------------------------------------
+// OUTLINE
+// -----------------------------------------------------------------------------
+
+// Alt+O shows or hides the outline sidebar
+function setupOutlineToggle() {
+    document.addEventListener("keydown", (event) => {
+        if (event.altKey && !event.ctrlKey && !event.metaKey && event.code === "KeyO") {
+            event.preventDefault();
+            toggleOutline();
+        }
+    });
+}
+
+// Adds a copy button to every code block in the rendered content
+function addCodeCopyButtons(container) {
     const defaultSVG = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="17" id="copyicon"><path fill="currentColor" d="M17.997 4.17A3 3 0 0 1 20 7v12a3 3 0 0 1-3 3H7a3 3 0 0 1-3-3V7a3 3 0 0 1 2.003-2.83A4 4 0 0 0 10 8h4a4 4 0 0 0 3.98-3.597zM14 2a2 2 0 1 1 0 4h-4a2 2 0 1 1 0-4z"/></svg>';
     const successSVG = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" width="17" id="copysuccess"><g fill="none"><path fill="currentColor" fill-opacity="0.16" d="M8 3H5.4A2.4 2.4 0 0 0 3 5.4v15.2A2.4 2.4 0 0 0 5.4 23h13.2a2.4 2.4 0 0 0 2.4-2.4V5.4A2.4 2.4 0 0 0 18.6 3H16v1.2a.8.8 0 0 1-.8.8H8.8a.8.8 0 0 1-.8-.8z"/><path stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="1" d="M16 3h2.6A2.4 2.4 0 0 1 21 5.4v15.2a2.4 2.4 0 0 1-2.4 2.4H5.4A2.4 2.4 0 0 1 3 20.6V5.4A2.4 2.4 0 0 1 5.4 3H8m0 11l3 3l5-7M8.8 1h6.4a.8.8 0 0 1 .8.8v2.4a.8.8 0 0 1-.8.8H8.8a.8.8 0 0 1-.8-.8V1.8a.8.8 0 0 1 .8-.8"/></g></svg>';
-    const codeBlocks = document.querySelectorAll('pre');
+    const codeBlocks = container.querySelectorAll('pre');
 
     codeBlocks.forEach(block => {
         const codeElement = block.querySelector('code');
@@ -467,7 +502,9 @@ function addCodeCopyButtons() {
 
         button.addEventListener('click', async () => {
             try {
-                const codeToCopy = codeElement.innerText;
+                // textContent skips the CSS-drawn line numbers and diff markers;
+                // a plain ```diff block is copied as written, so it still applies
+                const codeToCopy = codeElement.textContent;
                 await navigator.clipboard.writeText(codeToCopy);
 
                 button.innerHTML = successSVG;
@@ -479,7 +516,7 @@ function addCodeCopyButtons() {
                 }, 2000);
             } catch (err) {
                 console.error('Failed to copy code: ', err);
-                button.innerHTML = '<i class="fas fa-times"></i>';
+                button.innerHTML = iconMarkup('x');
                 setTimeout(() => {
                     button.innerHTML = defaultSVG;
                 }, 2000);
@@ -0,0 +1,166 @@
+// diagnostics.js - Panel listing what rendered wrong, each with a jump to the spot
+// Holds the renderer's messages (see plugins/lint.js) and problems only the
+// page can find, such as images that fail to load. Messages are matched to
+// elements by source line, through the blocks' `data-source-lines`.
+
+import { iconMarkup } from './icons.js';
+import { blockForLine, getSourceMode, setSourceMode } from './sourceView.js';
+
+const SEVERITY_ICONS = { error: 'x-circle', warning: 'alert', info: 'info' };
+const FLASH_DURATION = 1500;
+
+let panel = null;
+let list = null;
+// `{ severity, reason, line, target }`, target being the element to jump to
+let problems = [];
+
+function lineOf(element) {
+    const block = element.closest('[data-source-lines]');
+    return block ? Number(block.dataset.sourceLines.split('-')[0]) : null;
+}
+
+// The block the message is placed in, or the link itself for a missing fragment
+function targetOf(message) {
+    if (!message.line) return null;
+    const block = blockForLine(message.line);
+    if (block && message.actual) {
+        return block.querySelector(`a[href="${CSS.escape(message.actual)}"]`) || block;
+    }
+    return block;
+}
+
+function jumpTo(target) {
+    if (getSourceMode() === 'full') setSourceMode('off');
+    // Folded callouts and collapsed details hide what's inside them
+    for (let details = target.closest('details'); details; details = details.parentElement.closest('details')) {
+        details.open = true;
+    }
+
+    target.scrollIntoView({ block: 'center' });
+    target.classList.remove('diagnostic-target');
+    // Restart the animation when jumping to the same element twice
+    void target.offsetWidth;
+    target.classList.add('diagnostic-target');
+    setTimeout(() => target.classList.remove('diagnostic-target'), FLASH_DURATION);
+}
+
+function renderItem(problem) {
+    const item = document.createElement('li');
+    item.className = `diagnostic diagnostic-${problem.severity}`;
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.disabled = !problem.target;
+    button.innerHTML = iconMarkup(SEVERITY_ICONS[problem.severity] || 'info');
+    button.title = problem.target ? 'Show in the page' : 'Not tied to a place in the page';
+
+    const reason = document.createElement('span');
+    reason.className = 'diagnostic-reason';
+    reason.textContent = problem.reason;
+    button.appendChild(reason);
+
+    if (problem.line) {
+        const line = document.createElement('span');
+        line.className = 'diagnostic-line';
+        line.textContent = `line ${problem.line}`;
+        button.appendChild(line);
+    }
+
+    button.addEventListener('click', () => jumpTo(problem.target));
+    item.appendChild(button);
+    return item;
+}
+
+function render() {
+    problems.sort((a, b) => (a.line ?? Infinity) - (b.line ?? Infinity));
+    list?.replaceChildren(...problems.map(renderItem));
+
+    const button = document.querySelector('.diagnostics-button');
+    if (button) {
+        button.hidden = problems.length === 0;
+        button.textContent = `Problems (${problems.length})`;
+    }
+    if (panel && !problems.length) toggleDiagnostics(false);
+}
+
+function createPanel() {
+    panel = document.createElement('aside');
+    panel.id = 'zysays-diagnostics';
+    panel.setAttribute('aria-label', 'Problems');
+    panel.hidden = true;
+
+    const header = document.createElement('div');
+    header.className = 'diagnostics-header';
+
+    const title = document.createElement('span');
+    title.textContent = 'Problems';
+
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.innerHTML = iconMarkup('x');
+    close.title = 'Close';
+    close.addEventListener('click', () => toggleDiagnostics(false));
+    header.append(title, close);
+
+    list = document.createElement('ol');
+    list.className = 'diagnostics-list';
+
+    panel.append(header, list);
+    document.body.appendChild(panel);
+}
+
+/**
+ * Shows or hides the problems panel
+ * @param {boolean} [open] - Leave out to toggle
+ */
+export function toggleDiagnostics(open) {
+    if (!panel) return;
+    const show = (open ?? panel.hidden) && problems.length > 0;
+    panel.hidden = !show;
+    document.querySelector('.diagnostics-button')?.setAttribute('aria-pressed', String(show));
+}
+
+/**
+ * Replaces the listed problems with the messages of a new render
+ * @param {Object[]} messages - From the render result, see `summarizeFile()`
+ */
+export function showDiagnostics(messages) {
+    if (!panel) createPanel();
+
+    problems = messages.map(message => ({
+        severity: message.severity,
+        reason: message.reason,
+        line: message.line,
+        target: targetOf(message)
+    }));
+    render();
+}
+
+/**
+ * Adds a problem found in the page after rendering
+ * @param {Object} problem - `{ element, reason }`, see `markBrokenLinks()`
+ */
+export function addRuntimeProblem({ element, reason }) {
+    // Checks from before a re-render can finish after it
+    if (!element.isConnected) return;
+
+    problems.push({ severity: 'warning', reason, line: lineOf(element), target: element });
+    render();
+}
+
+/**
+ * Builds the toolbar button that toggles the problems panel; it only shows
+ * while there are problems
+ * @returns {Element}
+ */
+export function createDiagnosticsButton() {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'diagnostics-button';
+    button.title = 'Show what didn\'t render as written';
+    button.hidden = problems.length === 0;
+    button.textContent = `Problems (${problems.length})`;
+    button.setAttribute('aria-pressed', String(Boolean(panel && !panel.hidden)));
+    button.addEventListener('click', () => toggleDiagnostics());
+    return button;
+}
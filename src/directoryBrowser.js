@@ -0,0 +1,330 @@
+// directoryBrowser.js - Replaces Chrome's bare file:// directory listing with a
+// tree of the markdown files in it, and renders the folder's README below
+
+import { renderFile } from "./renderer.js";
+import { parseFrontmatter, frontmatterText } from "./frontmatter.js";
+import { listDirectory, readTextFile } from "./fileAccess.js";
+import { loadSettings, toRenderOptions } from "./settings.js";
+import { applyTheme, applyUserCss } from "./themes.js";
+import { renderMermaidDiagrams } from "./mermaidDiagrams.js";
+import { markBrokenLinks } from "./links.js";
+import { iconMarkup } from "./icons.js";
+
+const MARKDOWN_FILE = /\.(md|markdown|mdown)$/i;
+const README = /^(readme|index)\.(md|markdown|mdown)$/i;
+const EXCERPT_LENGTH = 160;
+// How many levels of folders the filter lists on its own, below this one
+const FILTER_DEPTH = 3;
+
+// -----------------------------------------------------------------------------
+// SUMMARIES
+// -----------------------------------------------------------------------------
+
+// Markdown syntax that shouldn't show up in a plain-text excerpt
+function plainText(markdown) {
+    return markdown
+        .replace(/!\[[^\]]*\]\([^)]*\)/g, "")
+        .replace(/!?\[\[([^\]|]*)\|?([^\]]*)\]\]/g, (match, target, alias) => alias || target)
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, "$1")
+        .replace(/<[^>]+>/g, "")
+        .replace(/[*_`~=^]+/g, "")
+        .replace(/\s+/g, " ")
+        .trim();
+}
+
+/**
+ * Picks a title and a short excerpt out of a markdown file
+ * @param {string} markdown - The markdown source
+ * @returns {Object} - `{ title, excerpt }`, either may be empty
+ */
+export function summarizeMarkdown(markdown) {
+    const { data, content } = parseFrontmatter(markdown);
+    let title = frontmatterText(data.title) ?? "";
+    const paragraph = [];
+    let inFence = false;
+
+    for (const line of content.split(/\r?\n/)) {
+        if (/^\s*(```|~~~)/.test(line)) {
+            inFence = !inFence;
+            continue;
+        }
+        if (inFence) continue;
+
+        const heading = /^#{1,6}\s+(.*?)\s*#*\s*$/.exec(line);
+        if (heading) {
+            if (!title) title = plainText(heading[1]);
+            if (paragraph.length) break;
+            continue;
+        }
+
+        if (!line.trim() || /^\s*(>\s*\[!|[-*_]{3,}\s*$|\||<!--)/.test(line)) {
+            if (paragraph.length) break;
+            continue;
+        }
+        paragraph.push(line.replace(/^\s*(>|[-*+]|\d+\.)\s+/, ""));
+    }
+
+    let excerpt = frontmatterText(data.description) ?? plainText(paragraph.join(" "));
+    if (excerpt.length > EXCERPT_LENGTH) {
+        excerpt = `${excerpt.slice(0, EXCERPT_LENGTH).replace(/\s+\S*$/, "")}…`;
+    }
+    return { title, excerpt };
+}
+
+// -----------------------------------------------------------------------------
+// TREE
+// -----------------------------------------------------------------------------
+
+function sortEntries(entries) {
+    return entries.sort((a, b) =>
+        Number(b.isDirectory) - Number(a.isDirectory) || a.name.localeCompare(b.name, undefined, { numeric: true }));
+}
+
+function createFileItem(entry) {
+    const item = document.createElement("li");
+    item.className = "dir-file";
+
+    const link = document.createElement("a");
+    link.href = entry.url;
+    link.className = "dir-entry";
+    link.innerHTML = iconMarkup("markdown");
+
+    const name = document.createElement("span");
+    name.className = "dir-name";
+    name.textContent = entry.name;
+    link.appendChild(name);
+
+    const title = document.createElement("span");
+    title.className = "dir-title";
+    link.appendChild(title);
+
+    const excerpt = document.createElement("p");
+    excerpt.className = "dir-excerpt";
+
+    item.append(link, excerpt);
+
+    readTextFile(entry.url)
+        .then((markdown) => {
+            const summary = summarizeMarkdown(markdown);
+            title.textContent = summary.title;
+            excerpt.textContent = summary.excerpt;
+            item.dataset.search = `${summary.title} ${summary.excerpt}`.toLowerCase();
+            applyFilter();
+        })
+        .catch(error => console.warn(`zysays: Could not read ${entry.name}:`, error));
+
+    return item;
+}
+
+// Lists a folder's contents into its item, once; see `createFolderItem()`
+const folderLoaders = new WeakMap();
+
+function setExpanded(item, expanded) {
+    item.classList.toggle("collapsed", !expanded);
+    item.querySelector(":scope > .dir-entry").setAttribute("aria-expanded", String(expanded));
+}
+
+function createFolderItem(entry) {
+    const item = document.createElement("li");
+    item.className = "dir-folder collapsed";
+
+    const toggle = document.createElement("button");
+    toggle.type = "button";
+    toggle.className = "dir-entry";
+    toggle.setAttribute("aria-expanded", "false");
+    toggle.innerHTML = iconMarkup("file-directory");
+
+    const name = document.createElement("span");
+    name.className = "dir-name";
+    name.textContent = entry.name;
+    toggle.appendChild(name);
+
+    const open = document.createElement("a");
+    open.href = entry.url;
+    open.className = "dir-open";
+    open.textContent = "Open";
+
+    item.append(toggle, open);
+
+    let tree = null;
+    const load = () => {
+        tree ||= createTree(entry.url).then((list) => {
+            item.appendChild(list);
+            applyFilter();
+            return list;
+        });
+        return tree;
+    };
+    folderLoaders.set(item, load);
+
+    toggle.addEventListener("click", () => {
+        const expanded = item.classList.contains("collapsed");
+        setExpanded(item, expanded);
+        delete item.dataset.filterExpanded;
+        if (expanded) load();
+    });
+
+    return item;
+}
+
+/**
+ * Lists a folder's subfolders and markdown files
+ * @param {string} url - file:// URL of the folder
+ * @returns {Promise<Element>} - A `ul.dir-tree`
+ */
+async function createTree(url) {
+    const list = document.createElement("ul");
+    list.className = "dir-tree";
+
+    try {
+        const entries = sortEntries(await listDirectory(url))
+            .filter(entry => !entry.name.startsWith("."))
+            .filter(entry => entry.isDirectory || MARKDOWN_FILE.test(entry.name));
+
+        for (const entry of entries) {
+            list.appendChild(entry.isDirectory ? createFolderItem(entry) : createFileItem(entry));
+        }
+        if (!entries.length) {
+            const empty = document.createElement("li");
+            empty.className = "dir-empty";
+            empty.textContent = "No markdown files";
+            list.appendChild(empty);
+        }
+    } catch (error) {
+        const failed = document.createElement("li");
+        failed.className = "dir-empty";
+        failed.textContent = `Could not list this folder: ${error.message}`;
+        list.appendChild(failed);
+    }
+
+    return list;
+}
+
+// -----------------------------------------------------------------------------
+// FILTER
+// -----------------------------------------------------------------------------
+
+let filterInput = null;
+
+// Lists the folders that were never opened, a few levels deep, so the filter
+// finds the files in them too
+async function listFolders(tree) {
+    let folders = Array.from(tree.querySelectorAll(":scope > .dir-folder"));
+    for (let level = 0; level < FILTER_DEPTH && folders.length; level++) {
+        const lists = await Promise.all(folders.map(folder => folderLoaders.get(folder)()));
+        folders = lists.flatMap(list => Array.from(list.querySelectorAll(":scope > .dir-folder")));
+    }
+}
+
+// Hides files that don't match and folders with nothing left in them, and
+// opens the folders holding a match until the filter is cleared
+function applyFilter() {
+    const query = filterInput?.value.trim().toLowerCase() || "";
+
+    for (const item of document.querySelectorAll(".dir-file")) {
+        const name = item.querySelector(".dir-name").textContent.toLowerCase();
+        item.hidden = Boolean(query) && !name.includes(query) && !(item.dataset.search || "").includes(query);
+    }
+
+    // Innermost folders first, so a parent sees its children's final state
+    const folders = Array.from(document.querySelectorAll(".dir-folder")).reverse();
+    for (const folder of folders) {
+        const name = folder.querySelector(".dir-name").textContent.toLowerCase();
+        const visibleChild = folder.querySelector(":scope > .dir-tree > li:not([hidden]):not(.dir-empty)");
+        folder.hidden = Boolean(query) && !name.includes(query) && !visibleChild;
+
+        if (query && visibleChild && folder.classList.contains("collapsed")) {
+            setExpanded(folder, true);
+            folder.dataset.filterExpanded = "";
+        } else if (!query && "filterExpanded" in folder.dataset) {
+            setExpanded(folder, false);
+            delete folder.dataset.filterExpanded;
+        }
+    }
+}
+
+// -----------------------------------------------------------------------------
+// PAGE
+// -----------------------------------------------------------------------------
+
+async function renderReadme(folderUrl, entries, settings) {
+    const readme = entries.find(entry => !entry.isDirectory && README.test(entry.name));
+    if (!readme) return null;
+
+    const container = document.createElement("article");
+    container.id = "markdown-content-container";
+    container.className = "dir-readme";
+
+    const options = {
+        ...toRenderOptions(settings, new URL(readme.url).pathname),
+        baseUrl: readme.url,
+        readFile: readTextFile
+    };
+    const file = await renderFile(await readTextFile(readme.url), options);
+    container.innerHTML = String(file);
+    return container;
+}
+
+async function renderDirectory() {
+    const folderUrl = window.location.href.split("#")[0];
+    const entries = await listDirectory(folderUrl);
+    const hasMarkdown = entries.some(entry => MARKDOWN_FILE.test(entry.name));
+    if (!hasMarkdown) return;
+
+    const settings = await loadSettings();
+
+    const link = document.createElement("link");
+    link.rel = "stylesheet";
+    link.href = chrome.runtime.getURL("style.css");
+    const styleLoaded = new Promise(resolve => {
+        link.onload = link.onerror = resolve;
+    });
+    document.head.appendChild(link);
+
+    const mathLink = document.createElement("link");
+    mathLink.rel = "stylesheet";
+    mathLink.href = chrome.runtime.getURL("fonts/katex/katex.min.css");
+    document.head.appendChild(mathLink);
+
+    applyTheme(settings.theme);
+    applyUserCss(settings.userCss);
+
+    const browser = document.createElement("main");
+    browser.id = "zysays-directory";
+
+    const heading = document.createElement("h1");
+    heading.className = "dir-path";
+    heading.textContent = decodeURIComponent(new URL(folderUrl).pathname);
+
+    filterInput = document.createElement("input");
+    filterInput.type = "search";
+    filterInput.className = "dir-filter";
+    filterInput.placeholder = "Filter by name, title or text";
+    filterInput.setAttribute("aria-label", "Filter files");
+    const tree = await createTree(folderUrl);
+    filterInput.addEventListener("input", () => {
+        applyFilter();
+        if (filterInput.value.trim()) listFolders(tree);
+    });
+
+    const parent = document.createElement("a");
+    parent.href = new URL("../", folderUrl).href;
+    parent.className = "dir-parent";
+    parent.textContent = "Parent folder";
+
+    browser.append(heading, parent, filterInput, tree);
+
+    const readme = await renderReadme(folderUrl, entries, settings).catch((error) => {
+        console.error("zysays: Could not render the README:", error);
+        return null;
+    });
+
+    document.body.replaceChildren(browser);
+    if (readme) {
+        document.body.appendChild(readme);
+        markBrokenLinks(readme);
+        styleLoaded.then(() => renderMermaidDiagrams(readme));
+    }
+}
+
+renderDirectory().catch(error => console.error("zysays: Could not render the directory:", error));
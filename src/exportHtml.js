@@ -0,0 +1,158 @@
+// exportHtml.js - Saves the rendered page as one self-contained HTML file
+// Styles, the fonts the page actually uses, and images are inlined as data
+// URLs, so the file opens anywhere without the extension or a network.
+
+import { readBlob } from "./fileAccess.js";
+
+const FONT_FACE = /@font-face\s*{[^}]*}/g;
+const CSS_URL = /url\(\s*(["']?)([^"')]+)\1\s*\)/g;
+
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+// file: URLs go through XHR, since fetch() refuses them
+async function toDataUrl(url) {
+    if (url.startsWith("data:")) return url;
+    if (url.startsWith("file:")) return blobToDataUrl(await readBlob(url));
+
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`${url} returned ${response.status}`);
+    return blobToDataUrl(await response.blob());
+}
+
+async function replaceAsync(text, pattern, replacer) {
+    const replacements = await Promise.all(Array.from(text.matchAll(pattern), match => replacer(...match)));
+    let index = 0;
+    return text.replace(pattern, () => replacements[index++]);
+}
+
+// Inlines every url() of a stylesheet, resolved against the stylesheet's own URL
+function inlineCssUrls(css, baseUrl) {
+    return replaceAsync(css, CSS_URL, async (match, quote, url) => {
+        try {
+            return `url("${await toDataUrl(new URL(url, baseUrl).href)}")`;
+        } catch (error) {
+            console.warn("zysays: Could not inline", url, error);
+            return match;
+        }
+    });
+}
+
+// Only the font faces the page has loaded are worth carrying along
+function usedFontFaces(css) {
+    const loaded = new Set();
+    for (const face of document.fonts) {
+        if (face.status === "loaded") {
+            loaded.add(`${face.family.replace(/["']/g, "")}|${face.weight}|${face.style}`);
+        }
+    }
+
+    return css.replace(FONT_FACE, (rule) => {
+        const family = /font-family:\s*["']?([^"';]+)/.exec(rule)?.[1].trim();
+        const weight = /font-weight:\s*([^;]+)/.exec(rule)?.[1].trim() || "normal";
+        const style = /font-style:\s*([^;]+)/.exec(rule)?.[1].trim() || "normal";
+        const normalizedWeight = weight === "normal" ? "400" : weight;
+        return loaded.has(`${family}|${normalizedWeight}|${style}`) || loaded.has(`${family}|${weight}|${style}`) ? rule : "";
+    });
+}
+
+async function extensionStylesheet(path) {
+    const url = chrome.runtime.getURL(path);
+    const response = await fetch(url);
+    return { css: await response.text(), url };
+}
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+/**
+ * Builds the standalone HTML for the rendered content
+ * @param {Element} container - The rendered markdown container
+ * @returns {Promise<string>}
+ */
+export async function buildStandaloneHtml(container) {
+    const content = container.cloneNode(true);
+
+    // Controls that only work with the extension's scripts
+    content.querySelectorAll(".copy-code-button, .mermaid-toggle").forEach(element => element.remove());
+    // Source line markers only mean something next to the markdown file
+    content.querySelectorAll("[data-source-lines]").forEach(element => element.removeAttribute("data-source-lines"));
+    content.querySelector(".source-target")?.classList.remove("source-target");
+    // Ticks are saved as they are, but can't be changed without the extension
+    content.querySelectorAll("input[data-task-offset]").forEach(box => {
+        box.disabled = true;
+        box.removeAttribute("data-task-offset");
+        box.removeAttribute("data-task-key");
+    });
+
+    await Promise.all(Array.from(content.querySelectorAll("img[src]"), async (image) => {
+        try {
+            image.src = await toDataUrl(image.src);
+        } catch (error) {
+            console.warn("zysays: Could not inline image", image.src, error);
+        }
+    }));
+
+    const main = await extensionStylesheet("style.css");
+    const styles = [await inlineCssUrls(usedFontFaces(main.css), main.url)];
+
+    if (content.querySelector(".katex")) {
+        const math = await extensionStylesheet("fonts/katex/katex.min.css");
+        // Every browser that runs the file reads woff2, so leave out the older formats
+        const woff2Only = math.css.replace(/,\s*url\([^)]*\.(woff|ttf)\)\s*format\(["'](woff|truetype)["']\)/g, "");
+        styles.push(await inlineCssUrls(woff2Only, math.url));
+    }
+
+    const userCss = document.getElementById("zysays-user-css")?.textContent;
+    if (userCss) styles.push(userCss);
+
+    const theme = document.documentElement.dataset.theme || "light";
+
+    return `<!doctype html>
+<html data-theme="${escapeHtml(theme)}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(document.title)}</title>
+    <style>
+${styles.join("\n")}
+    </style>
+</head>
+<body>
+    <div id="markdown-content-container">
+${content.innerHTML}
+    </div>
+</body>
+</html>
+`;
+}
+
+/**
+ * Downloads the rendered content as a standalone HTML file
+ * @param {Element} container - The rendered markdown container
+ * @param {string} fileName - Name for the saved file
+ */
+export async function exportHtml(container, fileName) {
+    const html = await buildStandaloneHtml(container);
+    const url = URL.createObjectURL(new Blob([html], { type: "text/html" }));
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
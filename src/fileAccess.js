@@ -0,0 +1,101 @@
+// fileAccess.js - Reading local files from the content script
+// `fetch()` refuses the file: scheme, so this goes through XMLHttpRequest,
+// which works once the extension has been granted file URL access.
+
+/**
+ * Reads a file:// URL as text
+ * @param {string} url - Absolute URL of the file
+ * @returns {Promise<string>} - The file contents
+ */
+export function readTextFile(url) {
+    return new Promise((resolve, reject) => {
+        const request = new XMLHttpRequest();
+        request.open('GET', url, true);
+        request.overrideMimeType('text/plain; charset=utf-8');
+        request.onload = () => {
+            // file:// responses report status 0 on success
+            if (request.status === 0 || (request.status >= 200 && request.status < 300)) {
+                resolve(request.responseText);
+            } else {
+                reject(new Error(`Could not read ${url} (status ${request.status})`));
+            }
+        };
+        request.onerror = () => reject(new Error(`Could not read ${url}`));
+        request.send();
+    });
+}
+
+/**
+ * Checks whether a file:// URL can be read, without reading it
+ * @param {string} url - Absolute URL of the file
+ * @returns {Promise<boolean>}
+ */
+export function fileExists(url) {
+    return new Promise(resolve => {
+        const request = new XMLHttpRequest();
+        request.open('HEAD', url, true);
+        request.onload = () => resolve(request.status === 0 || (request.status >= 200 && request.status < 300));
+        request.onerror = () => resolve(false);
+        request.send();
+    });
+}
+
+// Chrome lists a file:// directory as an HTML page with one
+// addRow(name, url, isDirectory, size, sizeText, modified, modifiedText) call per entry
+const ROW = /addRow\(("(?:[^"\\]|\\.)*"),("(?:[^"\\]|\\.)*"),(\d)(?:,(\d+),("(?:[^"\\]|\\.)*"),(\d+))?/g;
+
+function jsString(literal) {
+    try {
+        return JSON.parse(literal);
+    } catch {
+        return literal.slice(1, -1);
+    }
+}
+
+/**
+ * Lists a local directory through the browser's own directory listing
+ * @param {string} url - file:// URL of the directory, ending in a slash
+ * @returns {Promise<Object[]>} - Entries of `{ name, url, isDirectory, size, modified }`,
+ *   with `modified` in milliseconds
+ */
+export async function listDirectory(url) {
+    const listing = await readTextFile(url);
+    const entries = [];
+
+    for (const [, name, path, isDirectory, size, , modified] of listing.matchAll(ROW)) {
+        const entryName = jsString(name);
+        if (entryName === '..') continue;
+
+        entries.push({
+            name: entryName,
+            url: new URL(jsString(path), url).href,
+            isDirectory: isDirectory === '1',
+            size: size ? Number(size) : null,
+            modified: modified ? Number(modified) * 1000 : null
+        });
+    }
+
+    return entries;
+}
+
+/**
+ * Reads a file:// URL as binary
+ * @param {string} url - Absolute URL of the file
+ * @returns {Promise<Blob>}
+ */
+export function readBlob(url) {
+    return new Promise((resolve, reject) => {
+        const request = new XMLHttpRequest();
+        request.open('GET', url, true);
+        request.responseType = 'blob';
+        request.onload = () => {
+            if (request.status === 0 || (request.status >= 200 && request.status < 300)) {
+                resolve(request.response);
+            } else {
+                reject(new Error(`Could not read ${url} (status ${request.status})`));
+            }
+        };
+        request.onerror = () => reject(new Error(`Could not read ${url}`));
+        request.send();
+    });
+}
@@ -0,0 +1,70 @@
+// frontmatter.js - Reads the YAML/TOML block at the top of a markdown file
+// This runs before the processor is built, because the reserved `izysays:` key
+// can change how the rest of the document is rendered.
+
+import { parse as parseYaml } from 'yaml';
+import { parse as parseToml } from 'smol-toml';
+import { themes } from './themeNames.js';
+
+const fences = { '---': 'yaml', '+++': 'toml' };
+
+/**
+ * Extracts and parses the frontmatter block, if there is one
+ * @param {string} markdown - The markdown source
+ * @returns {Object} - `{ data, format, error, content }`; `data` is always an
+ *   object and `content` is the markdown after the block
+ */
+export function parseFrontmatter(markdown) {
+    const lines = markdown.replace(/^﻿/, '').split(/\r?\n/);
+    const fence = lines[0].trimEnd();
+    const format = fences[fence];
+    if (!format) return { data: {}, format: null, error: null, content: markdown };
+
+    const end = lines.indexOf(fence, 1);
+    if (end === -1) return { data: {}, format: null, error: null, content: markdown };
+
+    const source = lines.slice(1, end).join('\n');
+    const content = lines.slice(end + 1).join('\n');
+    try {
+        const data = format === 'yaml' ? parseYaml(source) : parseToml(source);
+        const isObject = data && typeof data === 'object' && !Array.isArray(data);
+        return { data: isObject ? data : {}, format, error: null, content };
+    } catch (error) {
+        return { data: {}, format, error, content };
+    }
+}
+
+/**
+ * A frontmatter value as text for the page, such as the title
+ * @param {*} value - As parsed, which may be a list, an object or a date
+ * @returns {string|null} - Strings and numbers as text, null for anything else
+ */
+export function frontmatterText(value) {
+    if (typeof value === 'string') return value;
+    if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+    return null;
+}
+
+/**
+ * Picks the render options a document may set for itself under `izysays:`.
+ * Trust is deliberately not among them: a file can't vouch for itself.
+ * @param {Object} data - Parsed frontmatter
+ * @returns {Object} - `{ options, theme }` where `options` go to the renderer
+ */
+export function documentOptions(data) {
+    const own = data.izysays;
+    const result = { options: {}, theme: null };
+    if (!own || typeof own !== 'object') return result;
+
+    if (typeof own.toc === 'boolean') {
+        result.options.features = { toc: own.toc };
+    }
+    if (typeof own.numberedHeadings === 'boolean') {
+        result.options.numberedHeadings = own.numberedHeadings;
+    }
+    if (typeof own.theme === 'string' && own.theme in themes) {
+        result.theme = own.theme;
+    }
+
+    return result;
+}
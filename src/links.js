@@ -0,0 +1,61 @@
+// links.js - Flags links to local files which don't exist, and images that fail to load
+// The renderer has already resolved them against the markdown file (see
+// plugins/resolveUrls.js), so every local target is an absolute file: URL.
+
+import { fileExists } from './fileAccess.js';
+
+const BROKEN_TITLE = 'File not found';
+
+// One check per file, however many links point at it
+const checks = new Map();
+
+function checkFile(url) {
+    if (!checks.has(url)) checks.set(url, fileExists(url));
+    return checks.get(url);
+}
+
+function markBroken(element, className, title) {
+    element.classList.add(className);
+    element.title = element.title ? `${element.title} (${title})` : title;
+}
+
+// Resolves to true once the image has loaded, false if it fails to
+function imageLoads(image) {
+    if (image.complete) return Promise.resolve(image.naturalWidth > 0);
+    return new Promise(resolve => {
+        image.addEventListener('load', () => resolve(true), { once: true });
+        image.addEventListener('error', () => resolve(false), { once: true });
+    });
+}
+
+/**
+ * Checks every local link and every image in the rendered content
+ * @param {Element} container - The rendered markdown container
+ * @param {Function} [onBroken] - Called with `{ element, reason }` for each
+ *   broken link or image, as it is found
+ */
+export function markBrokenLinks(container, onBroken = () => {}) {
+    // Files can appear or vanish between renders
+    checks.clear();
+    const page = window.location.href.split('#')[0];
+
+    for (const link of container.querySelectorAll('a[href^="file:"]')) {
+        const target = link.href.split('#')[0];
+        if (target === page) continue;
+
+        checkFile(target).then(exists => {
+            if (exists) return;
+            markBroken(link, 'broken-link', BROKEN_TITLE);
+            onBroken({ element: link, reason: `Link to a missing file: ${decodeURIComponent(target)}` });
+        });
+    }
+
+    // Any image, as remote ones can fail too
+    for (const image of container.querySelectorAll('img[src]')) {
+        imageLoads(image).then(loads => {
+            if (loads) return;
+            markBroken(image, 'broken-image', 'Image failed to load');
+            onBroken({ element: image, reason: `Image failed to load: ${decodeURIComponent(image.src)}` });
+        });
+    }
+}
@@ -0,0 +1,78 @@
+// liveReload.js - Watches the open markdown file and re-renders on change
+
+import { readTextFile } from './fileAccess.js';
+
+const HEADINGS = 'h1[id], h2[id], h3[id], h4[id], h5[id], h6[id]';
+
+/**
+ * Records the heading the reader is currently looking at
+ * @param {Element} container - The rendered markdown container
+ * @returns {Object} - Heading id and its offset from the top of the viewport
+ */
+export function captureScrollAnchor(container) {
+    let anchor = null;
+
+    for (const heading of container.querySelectorAll(HEADINGS)) {
+        const top = heading.getBoundingClientRect().top;
+        if (top > window.innerHeight / 3) break;
+        anchor = { id: heading.id, offset: top };
+    }
+
+    return anchor || { id: null, offset: 0, scrollY: window.scrollY };
+}
+
+/**
+ * Scrolls back to a heading captured with `captureScrollAnchor()`
+ * @param {Object} anchor - The captured anchor
+ */
+export function restoreScrollAnchor(anchor) {
+    const heading = anchor.id && document.getElementById(anchor.id);
+    if (!heading) {
+        window.scrollTo(0, anchor.scrollY ?? window.scrollY);
+        return;
+    }
+
+    const top = heading.getBoundingClientRect().top;
+    window.scrollBy(0, top - anchor.offset);
+}
+
+/**
+ * Polls a file:// URL and reports when its text changes. Checks run on an
+ * interval while the tab is visible and whenever the tab regains focus.
+ * @param {string} url - The file to watch
+ * @param {Object} options
+ * @param {string} options.initialText - The text that is currently rendered
+ * @param {number} [options.interval] - Poll interval in milliseconds
+ * @param {Function} options.onChange - Called with the new text
+ * @returns {Function} - Stops watching
+ */
+export function watchSource(url, { initialText, interval = 1000, onChange }) {
+    let lastText = initialText;
+    let checking = false;
+
+    async function check() {
+        if (checking || document.hidden) return;
+        checking = true;
+        try {
+            const text = await readTextFile(url);
+            if (text !== lastText) {
+                lastText = text;
+                await onChange(text);
+            }
+        } catch (error) {
+            console.warn('zysays: Live reload check failed:', error);
+        } finally {
+            checking = false;
+        }
+    }
+
+    const timer = setInterval(check, interval);
+    window.addEventListener('focus', check);
+    document.addEventListener('visibilitychange', check);
+
+    return () => {
+        clearInterval(timer);
+        window.removeEventListener('focus', check);
+        document.removeEventListener('visibilitychange', check);
+    };
+}
@@ -0,0 +1,131 @@
+// mermaidDiagrams.js - Draws ```mermaid fences as inline SVG
+// The renderer leaves diagrams as `<pre class="mermaid">` so it stays DOM-free;
+// this module turns them into figures once they are on the page.
+
+const DIAGRAMS = 'pre.mermaid, figure.mermaid-diagram';
+
+let mermaidPromise = null;
+let diagramCount = 0;
+
+// The Mermaid runtime is large, so it is only loaded when a page has diagrams
+function loadMermaid() {
+    if (!mermaidPromise) {
+        mermaidPromise = import('mermaid').then(module => module.default);
+    }
+    return mermaidPromise;
+}
+
+/**
+ * Works out whether the page is currently dark from the body background
+ * @returns {boolean}
+ */
+function isDarkPage() {
+    const match = getComputedStyle(document.body).backgroundColor.match(/[\d.]+/g);
+    if (!match || (match.length === 4 && Number(match[3]) === 0)) {
+        return window.matchMedia('(prefers-color-scheme: dark)').matches;
+    }
+
+    const [r, g, b] = match.map(Number);
+    return (0.2126 * r + 0.7152 * g + 0.0722 * b) / 255 < 0.5;
+}
+
+function createFigure(source) {
+    const figure = document.createElement('figure');
+    figure.className = 'mermaid-diagram';
+    figure.dataset.source = source;
+
+    const toggle = document.createElement('button');
+    toggle.className = 'mermaid-toggle';
+    toggle.type = 'button';
+    toggle.textContent = 'View source';
+    toggle.addEventListener('click', () => {
+        const showSource = !figure.classList.contains('show-source');
+        figure.classList.toggle('show-source', showSource);
+        toggle.textContent = showSource ? 'View diagram' : 'View source';
+    });
+
+    const output = document.createElement('div');
+    output.className = 'mermaid-output';
+
+    const sourceBlock = document.createElement('pre');
+    sourceBlock.className = 'mermaid-source';
+    const code = document.createElement('code');
+    code.textContent = source;
+    sourceBlock.appendChild(code);
+
+    figure.append(toggle, output, sourceBlock);
+    return figure;
+}
+
+function showError(figure, error) {
+    const output = figure.querySelector('.mermaid-output');
+    output.innerHTML = '';
+
+    const box = document.createElement('div');
+    box.className = 'mermaid-error';
+
+    const title = document.createElement('strong');
+    title.textContent = 'Mermaid syntax error';
+
+    const message = document.createElement('pre');
+    message.textContent = error?.message || String(error);
+
+    box.append(title, message);
+    output.appendChild(box);
+    figure.classList.add('has-error', 'show-source');
+    figure.querySelector('.mermaid-toggle').hidden = true;
+}
+
+async function drawFigure(mermaid, figure) {
+    const source = figure.dataset.source;
+    const id = `mermaid-diagram-${++diagramCount}`;
+
+    try {
+        await mermaid.parse(source);
+        const { svg, bindFunctions } = await mermaid.render(id, source);
+        const output = figure.querySelector('.mermaid-output');
+        output.innerHTML = svg;
+        if (bindFunctions) bindFunctions(output);
+    } catch (error) {
+        // Mermaid leaves its own error graphic behind on failed renders
+        document.getElementById(`d${id}`)?.remove();
+        showError(figure, error);
+    }
+}
+
+/**
+ * Draws every mermaid diagram inside a container, or redraws existing ones
+ * with the current page theme
+ * @param {Element} container - The rendered markdown container
+ */
+export async function renderMermaidDiagrams(container) {
+    const targets = container.querySelectorAll(DIAGRAMS);
+    if (!targets.length) return;
+
+    const figures = Array.from(targets, target => {
+        if (target.tagName === 'FIGURE') return target;
+        const figure = createFigure(target.textContent);
+        // The source view and the problems panel find blocks by their source lines
+        if (target.dataset.sourceLines) figure.dataset.sourceLines = target.dataset.sourceLines;
+        target.replaceWith(figure);
+        return figure;
+    });
+
+    try {
+        const mermaid = await loadMermaid();
+        mermaid.initialize({
+            startOnLoad: false,
+            securityLevel: 'strict',
+            theme: isDarkPage() ? 'dark' : 'default'
+        });
+
+        for (const figure of figures) {
+            if (!figure.classList.contains('has-error')) {
+                await drawFigure(mermaid, figure);
+            }
+        }
+    } catch (error) {
+        console.error('zysays: Could not load Mermaid:', error);
+        figures.forEach(figure => showError(figure, error));
+    }
+}
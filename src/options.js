@@ -0,0 +1,115 @@
+// options.js - Options page for the rendering pipeline
+
+import { defaultSettings, featureLabels, loadSettings, saveSettings, resetSettings } from './settings.js';
+import { themes } from './themeNames.js';
+import { applyTheme } from './themes.js';
+
+const form = document.getElementById('options-form');
+const status = document.getElementById('status');
+const tocHeadingError = document.getElementById('toc-heading-error');
+
+function renderFeatureToggles() {
+    const container = document.getElementById('feature-toggles');
+
+    for (const [feature, text] of Object.entries(featureLabels)) {
+        const label = document.createElement('label');
+        label.className = 'toggle';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.name = `feature-${feature}`;
+        checkbox.dataset.feature = feature;
+
+        label.append(checkbox, text);
+        container.appendChild(label);
+    }
+}
+
+function renderThemeOptions() {
+    for (const [value, label] of Object.entries(themes)) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        form.theme.appendChild(option);
+    }
+}
+
+function fillForm(settings) {
+    for (const checkbox of form.querySelectorAll('[data-feature]')) {
+        checkbox.checked = settings.features[checkbox.dataset.feature];
+    }
+
+    form.tocHeading.value = settings.tocHeading;
+    form.anchorGlyph.value = settings.anchorGlyph;
+    form.trustLevel.value = settings.trustLevel;
+    form.trustedPaths.value = settings.trustedPaths.join('\n');
+    form.liveReload.checked = settings.liveReload;
+    form.backlinks.checked = settings.backlinks;
+    form.theme.value = settings.theme;
+    form.userCss.value = settings.userCss;
+    applyTheme(settings.theme);
+}
+
+function readForm() {
+    const features = {};
+    for (const checkbox of form.querySelectorAll('[data-feature]')) {
+        features[checkbox.dataset.feature] = checkbox.checked;
+    }
+
+    return {
+        features,
+        tocHeading: form.tocHeading.value.trim() || defaultSettings.tocHeading,
+        anchorGlyph: form.anchorGlyph.value || defaultSettings.anchorGlyph,
+        trustLevel: form.trustLevel.value,
+        trustedPaths: form.trustedPaths.value
+            .split('\n')
+            .map(path => path.trim())
+            .filter(Boolean),
+        liveReload: form.liveReload.checked,
+        backlinks: form.backlinks.checked,
+        theme: form.theme.value,
+        userCss: form.userCss.value
+    };
+}
+
+// remark-toc builds a RegExp from the heading, so reject anything that won't compile
+function validateTocHeading(pattern) {
+    try {
+        new RegExp(pattern);
+        tocHeadingError.hidden = true;
+        return true;
+    } catch (error) {
+        tocHeadingError.textContent = error.message;
+        tocHeadingError.hidden = false;
+        return false;
+    }
+}
+
+function showStatus(message) {
+    status.textContent = message;
+    setTimeout(() => {
+        if (status.textContent === message) status.textContent = '';
+    }, 2000);
+}
+
+form.addEventListener('submit', async (event) => {
+    event.preventDefault();
+
+    const settings = readForm();
+    if (!validateTocHeading(settings.tocHeading)) return;
+
+    await saveSettings(settings);
+    applyTheme(settings.theme);
+    showStatus('Saved.');
+});
+
+document.getElementById('reset').addEventListener('click', async () => {
+    await resetSettings();
+    fillForm(await loadSettings());
+    validateTocHeading(form.tocHeading.value);
+    showStatus('Defaults restored.');
+});
+
+renderFeatureToggles();
+renderThemeOptions();
+fillForm(await loadSettings());
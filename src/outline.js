@@ -0,0 +1,212 @@
+// outline.js - Floating outline sidebar built from the rendered headings
+// Works on any document, whether or not it has a "Table of contents" heading.
+
+const HEADINGS = 'h1[id], h2[id], h3[id], h4[id], h5[id], h6[id]';
+const WIDE_SCREEN = '(min-width: 1300px)';
+
+let nav = null;
+let list = null;
+let observer = null;
+let activeId = null;
+const linksById = new Map();
+
+/**
+ * Turns the flat list of headings into a tree by level
+ * @param {Element} container - The rendered markdown container
+ * @returns {Object[]} - Nodes of `{ id, text, level, children }`
+ */
+function collectHeadings(container) {
+    const root = { level: 0, children: [] };
+    const stack = [root];
+
+    for (const heading of container.querySelectorAll(HEADINGS)) {
+        // Skip screen-reader-only headings such as the footnotes label
+        if (heading.classList.contains('sr-only')) continue;
+
+        // Leave out the anchor glyph and the task count badge
+        const extras = Array.from(heading.querySelectorAll(':scope > .heading-anchor-link, :scope > .task-count'));
+        const text = Array.from(heading.childNodes)
+            .filter(node => !extras.includes(node))
+            .map(node => node.textContent)
+            .join('')
+            .trim();
+
+        const node = { id: heading.id, text, level: Number(heading.tagName[1]), children: [] };
+        while (stack[stack.length - 1].level >= node.level) stack.pop();
+        stack[stack.length - 1].children.push(node);
+        stack.push(node);
+    }
+
+    return root.children;
+}
+
+function setExpanded(item, expanded) {
+    item.classList.toggle('collapsed', !expanded);
+    item.querySelector(':scope > .outline-toggle')?.setAttribute('aria-expanded', String(expanded));
+}
+
+function renderItems(nodes) {
+    const ul = document.createElement('ul');
+
+    for (const node of nodes) {
+        const li = document.createElement('li');
+        li.dataset.level = node.level;
+
+        if (node.children.length) {
+            const toggle = document.createElement('button');
+            toggle.type = 'button';
+            toggle.className = 'outline-toggle';
+            toggle.setAttribute('aria-label', `Toggle ${node.text}`);
+            toggle.addEventListener('click', () => setExpanded(li, li.classList.contains('collapsed')));
+            li.appendChild(toggle);
+        }
+
+        const link = document.createElement('a');
+        link.href = `#${encodeURIComponent(node.id)}`;
+        link.textContent = node.text;
+        linksById.set(node.id, link);
+        li.appendChild(link);
+
+        if (node.children.length) {
+            li.appendChild(renderItems(node.children));
+            setExpanded(li, true);
+        }
+        ul.appendChild(li);
+    }
+
+    return ul;
+}
+
+// Expands every item above `level` and collapses the rest
+function expandToLevel(level) {
+    for (const item of nav.querySelectorAll('li')) {
+        if (item.querySelector(':scope > ul')) {
+            setExpanded(item, Number(item.dataset.level) < level);
+        }
+    }
+}
+
+function setActive(id) {
+    if (id === activeId) return;
+    linksById.get(activeId)?.classList.remove('active');
+    activeId = id;
+
+    const link = linksById.get(id);
+    if (!link) return;
+    link.classList.add('active');
+
+    // Keep the current section visible in the outline
+    for (let item = link.parentElement.parentElement.closest('li'); item; item = item.parentElement.closest('li')) {
+        setExpanded(item, true);
+    }
+    link.scrollIntoView({ block: 'nearest' });
+}
+
+// With sectionize on, each heading's <section> is watched, so the highlight
+// follows whichever section fills the top of the viewport
+function watchSections(container) {
+    observer?.disconnect();
+
+    const targets = new Map();
+    for (const heading of container.querySelectorAll(HEADINGS)) {
+        if (!linksById.has(heading.id)) continue;
+        const section = heading.parentElement;
+        const wrapped = section.tagName === 'SECTION' && section.firstElementChild === heading;
+        targets.set(wrapped ? section : heading, heading.id);
+    }
+
+    const visible = new Set();
+    observer = new IntersectionObserver((entries) => {
+        for (const entry of entries) {
+            if (entry.isIntersecting) visible.add(entry.target);
+            else visible.delete(entry.target);
+        }
+
+        // The last visible target in document order is the innermost section
+        const current = Array.from(targets.keys()).filter(target => visible.has(target)).pop();
+        if (current) setActive(targets.get(current));
+    }, { rootMargin: '0px 0px -66% 0px' });
+
+    targets.forEach((id, target) => observer.observe(target));
+}
+
+function createNav() {
+    nav = document.createElement('nav');
+    nav.id = 'zysays-outline';
+    nav.setAttribute('aria-label', 'Outline');
+
+    const header = document.createElement('div');
+    header.className = 'outline-header';
+
+    const title = document.createElement('span');
+    title.textContent = 'Outline';
+    header.appendChild(title);
+
+    const levels = document.createElement('span');
+    levels.className = 'outline-levels';
+    for (const level of [1, 2, 3]) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = `H${level}`;
+        button.title = `Show headings down to level ${level}`;
+        button.addEventListener('click', () => expandToLevel(level));
+        levels.appendChild(button);
+    }
+    const all = document.createElement('button');
+    all.type = 'button';
+    all.textContent = 'All';
+    all.title = 'Expand everything';
+    all.addEventListener('click', () => expandToLevel(7));
+    levels.appendChild(all);
+    header.appendChild(levels);
+
+    list = document.createElement('div');
+    list.className = 'outline-list';
+
+    nav.append(header, list);
+    document.body.appendChild(nav);
+}
+
+/**
+ * Shows or hides the outline
+ * @param {boolean} [open] - Leave out to toggle
+ */
+export function toggleOutline(open) {
+    if (!nav) return;
+    const show = open ?? nav.hidden;
+    nav.hidden = !show;
+    document.querySelector('.outline-button')?.setAttribute('aria-pressed', String(show));
+}
+
+/**
+ * Builds (or rebuilds) the outline for the rendered content
+ * @param {Element} container - The rendered markdown container
+ */
+export function renderOutline(container) {
+    if (!nav) {
+        createNav();
+        toggleOutline(window.matchMedia(WIDE_SCREEN).matches);
+    }
+
+    linksById.clear();
+    activeId = null;
+
+    const headings = collectHeadings(container);
+    list.replaceChildren(headings.length ? renderItems(headings) : document.createTextNode('No headings'));
+    watchSections(container);
+}
+
+/**
+ * Builds the toolbar button that toggles the outline
+ * @returns {Element}
+ */
+export function createOutlineButton() {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'outline-button';
+    button.textContent = 'Outline';
+    button.title = 'Toggle outline (Alt+O)';
+    button.setAttribute('aria-pressed', String(Boolean(nav && !nav.hidden)));
+    button.addEventListener('click', () => toggleOutline());
+    return button;
+}
@@ -0,0 +1,159 @@
+// admonitions.js - Callouts from `:::type[Title]` directives and GitHub-style `> [!TYPE] Title` alerts
+// remarkAdmonitions shapes them before the sanitizer, so only the classes in
+// sanitize.js get through; rehypeAdmonitions adds the icons afterwards.
+
+import { visit } from './visit.js';
+import { iconNode } from '../icons.js';
+
+// Each type is drawn in one of four palettes; any other type, such as
+// `:::quote` or `:::example`, gets the neutral base style
+const PALETTES = {
+    note: ['note', 'info', 'todo', 'abstract', 'summary', 'tldr'],
+    tip: ['tip', 'hint', 'important', 'success', 'check', 'done'],
+    warning: ['warning', 'caution', 'attention', 'question', 'help', 'faq'],
+    danger: ['danger', 'error', 'bug', 'failure', 'fail', 'missing']
+};
+
+const ICONS = {
+    important: 'report',
+    success: 'check-circle',
+    check: 'check-circle',
+    done: 'check-circle',
+    error: 'x-circle',
+    bug: 'x-circle',
+    failure: 'x-circle',
+    fail: 'x-circle',
+    missing: 'x-circle'
+};
+
+const PALETTE_ICONS = { note: 'info', tip: 'light-bulb', warning: 'alert', danger: 'flame' };
+
+// `[!TYPE]`, optionally followed by `-` (folded) or `+` (foldable, open)
+const ALERT = /^\[!([a-z][\w-]*)\]([+-]?)[ \t]*/i;
+
+function paletteOf(type) {
+    return Object.keys(PALETTES).find(palette => PALETTES[palette].includes(type)) || null;
+}
+
+function defaultTitle(type) {
+    return type.charAt(0).toUpperCase() + type.slice(1);
+}
+
+// Drops whitespace at the ends of a run of inline nodes
+function trimInline(nodes) {
+    const trimmed = [...nodes];
+    const last = trimmed.length - 1;
+    if (trimmed[0]?.type === 'text') trimmed[0] = { ...trimmed[0], value: trimmed[0].value.trimStart() };
+    if (trimmed[last]?.type === 'text') trimmed[last] = { ...trimmed[last], value: trimmed[last].value.trimEnd() };
+    return trimmed.filter(node => node.type !== 'text' || node.value);
+}
+
+// A blockquote whose first line is `[!TYPE] Title`. The title is whatever
+// follows on that line, inline markup included.
+function parseAlert(node) {
+    const paragraph = node.children[0];
+    const first = paragraph?.type === 'paragraph' && paragraph.children[0];
+    const match = first?.type === 'text' && ALERT.exec(first.value);
+    if (!match) return null;
+
+    const title = [];
+    const rest = [{ type: 'text', value: first.value.slice(match[0].length) }, ...paragraph.children.slice(1)];
+    while (rest.length) {
+        const child = rest.shift();
+        if (child.type === 'break') break;
+
+        const newline = child.type === 'text' ? child.value.indexOf('\n') : -1;
+        if (newline === -1) {
+            title.push(child);
+            continue;
+        }
+        title.push({ type: 'text', value: child.value.slice(0, newline) });
+        rest.unshift({ type: 'text', value: child.value.slice(newline + 1) });
+        break;
+    }
+
+    const body = trimInline(rest);
+    return {
+        type: match[1].toLowerCase(),
+        title: trimInline(title),
+        fold: { '-': 'closed', '+': 'open' }[match[2]] || null,
+        children: [...(body.length ? [{ ...paragraph, children: body }] : []), ...node.children.slice(1)]
+    };
+}
+
+// `:::type[Title]`; `:::details` folds, and starts open with `{open}`
+function parseDirective(node) {
+    const [first, ...rest] = node.children;
+    const hasLabel = first?.type === 'paragraph' && first.data?.directiveLabel;
+    const type = node.name.toLowerCase();
+    const open = Boolean(node.attributes && 'open' in node.attributes);
+
+    return {
+        type,
+        title: hasLabel ? first.children : [],
+        fold: type === 'details' ? (open ? 'open' : 'closed') : null,
+        children: hasLabel ? rest : node.children
+    };
+}
+
+// Rewrites the node in place, so it keeps its position for the source view
+function toAdmonition(node, { type, title, fold, children }) {
+    const palette = paletteOf(type);
+    const className = ['admonition', `admonition-${type}`];
+    if (palette && palette !== type) className.push(`admonition-${palette}`);
+
+    node.type = 'admonition';
+    node.data = {
+        hName: fold ? 'details' : 'div',
+        hProperties: { className, ...(fold === 'open' && { open: true }) }
+    };
+    node.children = [
+        {
+            type: 'admonitionTitle',
+            data: { hName: fold ? 'summary' : 'div', hProperties: { className: ['admonition-title'] } },
+            children: title.length ? title : [{ type: 'text', value: defaultTitle(type) }]
+        },
+        {
+            type: 'admonitionContent',
+            data: { hName: 'div', hProperties: { className: ['admonition-content'] } },
+            children
+        }
+    ];
+    delete node.name;
+    delete node.attributes;
+}
+
+/**
+ * Turns container directives and GitHub alerts into callouts. Children are
+ * visited after their parent is rewritten, so callouts can be nested.
+ */
+export function remarkAdmonitions() {
+    return (tree) => {
+        visit(tree, (node) => {
+            if (node.type === 'containerDirective') {
+                toAdmonition(node, parseDirective(node));
+            } else if (node.type === 'blockquote') {
+                const alert = parseAlert(node);
+                if (alert) toAdmonition(node, alert);
+            }
+        });
+    };
+}
+
+/**
+ * Puts the type's icon in front of each callout title
+ */
+export function rehypeAdmonitions() {
+    return (tree) => {
+        visit(tree, (node) => {
+            const classes = node.type === 'element' && node.properties?.className;
+            if (!Array.isArray(classes) || !classes.includes('admonition')) return;
+
+            const title = node.children.find(child => child.properties?.className?.includes('admonition-title'));
+            const type = classes[1]?.replace(/^admonition-/, '');
+            if (!title || !type) return;
+
+            title.children.unshift(iconNode(ICONS[type] || PALETTE_ICONS[paletteOf(type)] || 'info'));
+        });
+    };
+}
@@ -0,0 +1,188 @@
+import { visit } from './visit.js';
+
+// Fence meta such as ```js title="server.js" {3,7-9} showLineNumbers
+const TITLE = /\btitle=(?:"([^"]*)"|'([^']*)'|(\S+))/;
+const RANGES = /\{([\d\s,-]+)\}/;
+const LINE_NUMBERS = /\bshowLineNumbers(?:=(\d+))?\b/;
+
+// ```diff-js highlights as JavaScript with the +/- markers taken out of the code
+const DIFF_LANGUAGE = /^language-diff-(.+)$/;
+const diffClasses = { '+': 'inserted', '-': 'deleted' };
+
+/**
+ * Parses a fence meta string
+ * @param {string} meta - Everything after the language on the opening fence
+ * @returns {Object} - `{ title, highlight, lineNumbers }`; `highlight` lists
+ *   `[from, to]` ranges of 1-based line numbers, `lineNumbers` is the first
+ *   number or null for none
+ */
+export function parseCodeMeta(meta) {
+    const result = { title: null, highlight: [], lineNumbers: null };
+    if (!meta) return result;
+
+    const title = TITLE.exec(meta);
+    if (title) result.title = title[1] ?? title[2] ?? title[3];
+
+    const ranges = RANGES.exec(meta);
+    if (ranges) {
+        for (const range of ranges[1].split(',')) {
+            const [from, to = from] = range.split('-').map(part => Number.parseInt(part, 10));
+            if (Number.isNaN(from) || Number.isNaN(to)) continue;
+            // Kept as ranges, as `{1-300000000}` is as easy to write as `{1-3}`
+            result.highlight.push([from, to]);
+        }
+    }
+
+    const lineNumbers = LINE_NUMBERS.exec(meta);
+    if (lineNumbers) result.lineNumbers = lineNumbers[1] ? Number(lineNumbers[1]) : 1;
+
+    return result;
+}
+
+function isHighlighted(highlight, line) {
+    return highlight.some(([from, to]) => line >= from && line <= to);
+}
+
+function codeOf(pre) {
+    return pre.children.find(child => child.type === 'element' && child.tagName === 'code');
+}
+
+/**
+ * Keeps the fence meta string on the <code> element. mdast-util-to-hast puts it
+ * on `data`, which the sanitizer drops, so it travels as a property instead.
+ */
+export function remarkCodeMeta() {
+    return (tree) => {
+        visit(tree, (node) => {
+            if (node.type !== 'code') return;
+
+            // Without a language, the first meta word (```{3} or ```title=a.js) lands in `lang`
+            if (node.lang && /[={]/.test(node.lang)) {
+                node.meta = node.meta ? `${node.lang} ${node.meta}` : node.lang;
+                node.lang = null;
+            }
+            if (!node.meta) return;
+
+            node.data = node.data || {};
+            node.data.hProperties = { ...node.data.hProperties, dataMeta: node.meta };
+        });
+    };
+}
+
+/**
+ * Reads the fence meta and diff markers before highlighting. Diff markers of
+ * ```diff-<lang> blocks are removed so the code highlights as <lang>.
+ */
+export function rehypeCodeMeta() {
+    return (tree) => {
+        visit(tree, (node) => {
+            if (node.type !== 'element' || node.tagName !== 'pre') return;
+            const code = codeOf(node);
+            if (!code) return;
+
+            const properties = code.properties || {};
+            const meta = parseCodeMeta(properties.dataMeta);
+            delete properties.dataMeta;
+
+            const className = properties.className || [];
+            const diffLanguage = className.map(name => DIFF_LANGUAGE.exec(name)).find(Boolean);
+            const onlyText = code.children.every(child => child.type === 'text');
+            let diff = null;
+
+            if (diffLanguage && onlyText) {
+                const lines = code.children.map(child => child.value).join('').split('\n');
+                diff = lines.map(line => line[0] in diffClasses ? line[0] : ' ');
+                code.children = [{
+                    type: 'text',
+                    value: lines.map(line => (line[0] in diffClasses || line[0] === ' ') ? line.slice(1) : line).join('\n')
+                }];
+                properties.className = className.map(name => name === diffLanguage[0] ? `language-${diffLanguage[1]}` : name);
+            } else if (className.includes('language-diff') && onlyText) {
+                diff = code.children.map(child => child.value).join('').split('\n').map(line => line[0]);
+            }
+
+            code.properties = properties;
+            code.data = { ...code.data, codeBlock: { ...meta, diff, stripped: Boolean(diffLanguage) } };
+        });
+    };
+}
+
+// Splits highlighted children into lines, repeating the highlight spans that
+// cross a line break on both sides of it
+function splitLines(children) {
+    const lines = [[]];
+
+    function walk(nodes, wrap) {
+        for (const node of nodes) {
+            if (node.type === 'text') {
+                node.value.split('\n').forEach((part, index) => {
+                    if (index > 0) lines.push([]);
+                    if (part) lines[lines.length - 1].push(wrap({ type: 'text', value: part }));
+                });
+            } else if (node.type === 'element') {
+                walk(node.children, child => wrap({
+                    ...node,
+                    properties: { ...node.properties },
+                    children: [child]
+                }));
+            }
+        }
+    }
+
+    walk(children, node => node);
+    return lines;
+}
+
+/**
+ * Wraps each line of a code block in a `span.code-line` for line numbers,
+ * highlighted lines and diff styling, and adds the filename header. The line
+ * numbers and stripped diff markers live in data attributes and are drawn by
+ * CSS, so the code's text content stays exactly the code.
+ */
+export function rehypeCodeLines() {
+    return (tree) => {
+        visit(tree, (node) => {
+            if (node.type !== 'element' || node.tagName !== 'pre') return;
+            const code = codeOf(node);
+            const block = code?.data?.codeBlock;
+            if (!block) return;
+
+            if (block.lineNumbers !== null || block.highlight.length || block.diff) {
+                const lines = splitLines(code.children);
+                // The code usually ends with a newline, which isn't a line of its own
+                const trailingNewline = lines.length > 1 && lines[lines.length - 1].length === 0;
+                if (trailingNewline) lines.pop();
+
+                code.children = lines.flatMap((children, index) => {
+                    const className = ['code-line'];
+                    const properties = { className };
+
+                    if (isHighlighted(block.highlight, index + 1)) className.push('highlighted');
+                    const marker = block.diff?.[index];
+                    if (marker in diffClasses) {
+                        className.push(diffClasses[marker]);
+                        if (block.stripped) properties.dataDiffMarker = marker;
+                    }
+                    if (block.lineNumbers !== null) {
+                        properties.dataLineNumber = block.lineNumbers + index;
+                    }
+
+                    const line = { type: 'element', tagName: 'span', properties, children };
+                    return index < lines.length - 1 || trailingNewline ? [line, { type: 'text', value: '\n' }] : [line];
+                });
+
+                code.properties.className = [...(code.properties.className || []), 'has-lines'];
+                if (block.lineNumbers !== null) code.properties.className.push('line-numbers');
+            }
+
+            if (block.title) {
+                node.children.unshift({
+                    type: 'element',
+                    tagName: 'div',
+                    properties: { className: ['code-title'] },
+                    children: [{ type: 'text', value: block.title }]
+                });
+            }
+        });
+    };
+}
@@ -0,0 +1,102 @@
+import { visit } from './visit.js';
+
+// ```js file=./src/server.js#L10-L40
+const FILE = /(?:^|\s)file=(?:"([^"]*)"|'([^']*)'|(\S+))/;
+const LINES = /^L(\d+)(?:-L?(\d+))?$/;
+
+// Extensions whose highlight.js language has a different name
+const extensionLanguages = {
+    mjs: 'javascript',
+    cjs: 'javascript',
+    mts: 'typescript',
+    cts: 'typescript',
+    htm: 'html',
+    yml: 'yaml',
+    markdown: 'md',
+    h: 'c',
+    hpp: 'cpp',
+    cc: 'cpp',
+    cxx: 'cpp'
+};
+
+/**
+ * Guesses the fence language from a file name
+ * @param {string} path - A path or URL
+ * @returns {string|null}
+ */
+export function languageFromPath(path) {
+    const name = path.split(/[/\\]/).pop();
+    const dot = name.lastIndexOf('.');
+    if (dot <= 0) return name.toLowerCase() === 'dockerfile' ? 'dockerfile' : null;
+
+    const extension = name.slice(dot + 1).toLowerCase();
+    return extensionLanguages[extension] || extension;
+}
+
+function selectLines(text, fragment) {
+    const lines = text.replace(/\r?\n$/, '').split(/\r?\n/);
+    if (!fragment) return lines.join('\n');
+
+    const range = LINES.exec(fragment);
+    if (!range) throw new Error(`"#${fragment}" is not a line selection, expected #L10 or #L10-L40`);
+
+    const from = Number(range[1]);
+    const to = range[2] ? Number(range[2]) : from;
+    if (from < 1 || to < from || to > lines.length) {
+        throw new Error(`Lines ${from}-${to} are out of range, the file has ${lines.length} lines`);
+    }
+    return lines.slice(from - 1, to).join('\n');
+}
+
+function errorNode(message) {
+    return {
+        type: 'codeImportError',
+        data: { hName: 'div', hProperties: { className: ['code-import-error'] } },
+        children: [{ type: 'text', value: message }]
+    };
+}
+
+/**
+ * Fills fenced code blocks that have a `file=` meta with the contents of that
+ * file, resolved against the markdown file. A missing file or bad line range
+ * becomes an inline `.code-import-error` block.
+ * @param {Object} options
+ * @param {string} [options.baseUrl] - URL of the markdown file
+ * @param {Function} [options.readFile] - `(url) => Promise<string>`; the
+ *   renderer can't read files itself, so the caller passes one in. One in
+ *   `file.data.readFile` takes its place for that render.
+ */
+export function remarkCodeImport({ baseUrl, readFile } = {}) {
+    return async (tree, file) => {
+        const imports = [];
+        visit(tree, (node) => {
+            const match = node.type === 'code' && node.meta && FILE.exec(node.meta);
+            if (match) imports.push({ node, path: match[1] ?? match[2] ?? match[3] });
+        });
+
+        const read = file.data.readFile || readFile;
+        await Promise.all(imports.map(async ({ node, path }) => {
+            const [filePath, fragment] = path.split('#');
+            let replacement;
+
+            try {
+                if (!baseUrl || !read) throw new Error('files can only be imported when rendering a file');
+                const url = new URL(filePath, baseUrl).href;
+                node.value = selectLines(await read(url), fragment);
+                node.lang = node.lang || languageFromPath(filePath);
+            } catch (error) {
+                const reason = `Could not import ${path}: ${error.message}`;
+                file.message(reason, { place: node.position, source: 'izysays', ruleId: 'code-import' });
+                replacement = errorNode(reason);
+            }
+
+            // Swap the code node's contents for the error in place, keeping its position
+            if (replacement) {
+                for (const key of Object.keys(node)) {
+                    if (key !== 'position') delete node[key];
+                }
+                Object.assign(node, replacement);
+            }
+        }));
+    };
+}
@@ -0,0 +1,120 @@
+import { visit } from './visit.js';
+import { iconNode } from '../icons.js';
+
+// Language to bundled icon mapping (see icons.js)
+export const languageIcons = {
+    javascript: 'javascript',
+    js: 'javascript',
+    typescript: 'typescript',
+    ts: 'typescript',
+    python: 'python',
+    py: 'python',
+    java: 'openjdk',
+    php: 'php',
+    html: 'html5',
+    css: 'css',
+    scss: 'sass',
+    sass: 'sass',
+    less: 'less',
+    react: 'react',
+    jsx: 'react',
+    tsx: 'react',
+    vue: 'vuedotjs',
+    angular: 'angular',
+    node: 'nodedotjs',
+    nodejs: 'nodedotjs',
+    npm: 'npm',
+    yarn: 'yarn',
+    docker: 'docker',
+    dockerfile: 'docker',
+    git: 'git',
+    github: 'github',
+    gitlab: 'gitlab',
+    bitbucket: 'bitbucket',
+    go: 'go',
+    golang: 'go',
+    rust: 'rust',
+    rs: 'rust',
+    cpp: 'cplusplus',
+    'c++': 'cplusplus',
+    cxx: 'cplusplus',
+    hpp: 'cplusplus',
+    c: 'c',
+    h: 'c',
+    csharp: 'dotnet',
+    'c#': 'dotnet',
+    cs: 'dotnet',
+    swift: 'swift',
+    kotlin: 'kotlin',
+    kt: 'kotlin',
+    kts: 'kotlin',
+    ruby: 'ruby',
+    rb: 'ruby',
+    shell: 'terminal',
+    bash: 'gnubash',
+    sh: 'gnubash',
+    zsh: 'terminal',
+    powershell: 'terminal',
+    ps1: 'terminal',
+    sql: 'database',
+    mysql: 'mysql',
+    postgresql: 'postgresql',
+    postgres: 'postgresql',
+    mongodb: 'mongodb',
+    json: 'json',
+    xml: 'code',
+    yaml: 'yaml',
+    yml: 'yaml',
+    toml: 'toml',
+    ini: 'file-code',
+    markdown: 'markdown',
+    md: 'markdown',
+    mermaid: 'mermaid',
+    diff: 'git',
+    patch: 'git',
+    text: 'file',
+    txt: 'file',
+    default: 'code'
+};
+
+// Custom rehype plugin to add language icons to code blocks
+export function rehypeCodeLanguageIcons() {
+    return (tree) => {
+        visit(tree, (node) => {
+            if (node.type === 'element' && node.tagName === 'pre') {
+                const codeElement = node.children.find(child =>
+                    child.type === 'element' && child.tagName === 'code'
+                );
+
+                if (codeElement && codeElement.properties && codeElement.properties.className) {
+                    const languageClass = codeElement.properties.className.find(cls =>
+                        cls.startsWith('language-')
+                    );
+
+                    if (languageClass) {
+                        const language = languageClass.replace('language-', '').toLowerCase();
+                        const iconName = languageIcons[language] || languageIcons.default;
+
+                        if (!node.properties) node.properties = {};
+                        if (!node.properties.className) node.properties.className = [];
+                        node.properties.className.push('has-language');
+                        node.properties['data-language'] = language;
+
+                        const languageIcon = {
+                            type: 'element',
+                            tagName: 'div',
+                            properties: {
+                                className: ['language-icon']
+                            },
+                            children: [
+                                iconNode(iconName, { title: language.toUpperCase() })
+                            ]
+                        };
+
+                        node.children.unshift(languageIcon);
+                    }
+                }
+            }
+        });
+    };
+}
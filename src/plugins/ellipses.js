@@ -0,0 +1,4 @@
+// Simple ellipses plugin for remarkTextr
+export function ellipses(input) {
+    return input.replace(/\.\.\./g, '…');
+}
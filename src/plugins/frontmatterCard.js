@@ -0,0 +1,91 @@
+import { frontmatterText } from '../frontmatter.js';
+import { visit } from './visit.js';
+
+function element(tagName, className, children, properties = {}) {
+    return {
+        type: 'element',
+        tagName,
+        properties: { className: [className], ...properties },
+        children
+    };
+}
+
+function text(value) {
+    return { type: 'text', value: String(value) };
+}
+
+// Authors may be a name, a list of names or `{ name }` objects
+function authorNames(author) {
+    const list = Array.isArray(author) ? author : [author];
+    return list
+        .map(entry => (entry && typeof entry === 'object' ? entry.name : entry))
+        .filter(name => typeof name === 'string' && name.trim());
+}
+
+// Tags may be a list or a comma-separated string
+function tagNames(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags).split(',');
+    return list.map(tag => String(tag).trim()).filter(Boolean);
+}
+
+function dateNode(date) {
+    if (date instanceof Date && !isNaN(date)) {
+        const iso = date.toISOString().slice(0, 10);
+        return element('time', 'frontmatter-date', [text(iso)], { dateTime: iso });
+    }
+
+    const parsed = new Date(String(date));
+    const properties = isNaN(parsed) ? {} : { dateTime: parsed.toISOString().slice(0, 10) };
+    return element('time', 'frontmatter-date', [text(date)], properties);
+}
+
+function hasHeadingOne(tree) {
+    let found = false;
+    visit(tree, (node) => {
+        if (node.type === 'element' && node.tagName === 'h1') found = true;
+    });
+    return found;
+}
+
+/**
+ * Adds a header card with the title, description, author, date and tags from
+ * the frontmatter that the renderer stored in `file.data.frontmatter`
+ */
+export function rehypeFrontmatterCard() {
+    return (tree, file) => {
+        const data = file.data.frontmatter || {};
+        const children = [];
+        const title = frontmatterText(data.title);
+        const description = frontmatterText(data.description);
+
+        // The title already shows in the tab; only repeat it when the document has no H1
+        if (title && !hasHeadingOne(tree)) {
+            children.push(element('div', 'frontmatter-title', [text(title)]));
+        }
+        if (description) {
+            children.push(element('p', 'frontmatter-description', [text(description)]));
+        }
+
+        const meta = [];
+        const authors = data.author ? authorNames(data.author) : [];
+        if (authors.length) {
+            meta.push(element('span', 'frontmatter-author', [text(authors.join(', '))]));
+        }
+        if (data.date) {
+            meta.push(dateNode(data.date));
+        }
+        if (meta.length) {
+            children.push(element('div', 'frontmatter-meta', meta));
+        }
+
+        const tags = data.tags ? tagNames(data.tags) : [];
+        if (tags.length) {
+            children.push(element('ul', 'frontmatter-tags',
+                tags.map(tag => element('li', 'frontmatter-tag', [text(tag)]))));
+        }
+
+        if (children.length) {
+            tree.children.unshift(element('header', 'frontmatter-card', children));
+        }
+    };
+}
@@ -0,0 +1,175 @@
+import { splice } from 'micromark-util-chunked';
+import { classifyCharacter } from 'micromark-util-classify-character';
+import { resolveAll } from 'micromark-util-resolve-all';
+
+// Inline syntax on top of CommonMark, as mdast node type → delimiters and the
+// element it becomes. Delimiters are paired up after the rest of the line is
+// tokenized, the way GFM strikethrough is, so code spans (`` `a^b^` ``), link
+// destinations and escapes (`\^`) never open or close a span.
+// Superscripts and subscripts may not contain spaces, so `2^10 and 3^4` stays text.
+const spans = {
+    mark: { open: '==', close: '==', spaces: true, tagName: 'mark' },
+    superscript: { open: '^', close: '^', spaces: false, tagName: 'sup', className: 'suptext' },
+    subscript: { open: '_-', close: '-_', spaces: false, tagName: 'sub', className: 'subtext' }
+};
+
+// What `classifyCharacter` returns for punctuation; whitespace is 1
+const PUNCTUATION = 2;
+
+function codesOf(text) {
+    return Array.from(text, character => character.charCodeAt(0));
+}
+
+// A delimiter run that may open and/or close a span; which one is decided by
+// the characters around it, as for GFM strikethrough. It is tokenized as a
+// temporary sequence and paired up (or turned back into text) by `resolveAll`.
+function createSequence(type, sequence, { canOpen, canClose }) {
+    const codes = codesOf(sequence);
+    const last = codes[codes.length - 1];
+
+    function tokenize(effects, ok, nok) {
+        const previous = this.previous;
+        const events = this.events;
+        let index = 0;
+
+        return start;
+
+        function start(code) {
+            // Part of a longer run, such as `===`, which stays text
+            if (previous === codes[0] && events[events.length - 1][1].type !== 'characterEscape') return nok(code);
+            effects.enter(`${type}SequenceTemporary`);
+            return more(code);
+        }
+
+        function more(code) {
+            if (index < codes.length) {
+                if (code !== codes[index]) return nok(code);
+                effects.consume(code);
+                index++;
+                return more;
+            }
+            if (code === last) return nok(code);
+
+            const before = classifyCharacter(previous);
+            const after = classifyCharacter(code);
+            const open = canOpen && (!after || (after === PUNCTUATION && Boolean(before)));
+            const close = canClose && (!before || (before === PUNCTUATION && Boolean(after)));
+            // Leave the characters to other constructs, such as `_` emphasis
+            if (!open && !close) return nok(code);
+
+            const token = effects.exit(`${type}SequenceTemporary`);
+            token._open = open;
+            token._close = close;
+            return ok(code);
+        }
+    }
+
+    return { name: type, tokenize, resolveAll: resolvers[type] };
+}
+
+function hasWhitespace(context, start, end) {
+    return /\s/.test(context.sliceSerialize({ start, end }));
+}
+
+// Pairs each closing sequence with the nearest opening one before it, and
+// turns the sequences left over back into text
+function createResolver(type, { spaces }) {
+    const temporary = `${type}SequenceTemporary`;
+
+    return function (events, context) {
+        let index = -1;
+        while (++index < events.length) {
+            const closer = events[index][1];
+            if (events[index][0] !== 'enter' || closer.type !== temporary || !closer._close) continue;
+
+            let open = index;
+            while (open--) {
+                const opener = events[open][1];
+                if (events[open][0] !== 'exit' || opener.type !== temporary || !opener._open) continue;
+                if (opener.end.offset === closer.start.offset) continue;
+                if (!spaces && hasWhitespace(context, opener.end, closer.start)) continue;
+
+                opener.type = `${type}Sequence`;
+                closer.type = `${type}Sequence`;
+                const span = { type, start: { ...opener.start }, end: { ...closer.end } };
+                const text = { type: `${type}Text`, start: { ...opener.end }, end: { ...closer.start } };
+
+                const nextEvents = [
+                    ['enter', span, context],
+                    ['enter', opener, context],
+                    ['exit', opener, context],
+                    ['enter', text, context]
+                ];
+                // Resolve what is inside first, so spans nest
+                const insideSpan = context.parser.constructs.insideSpan.null;
+                if (insideSpan) {
+                    splice(nextEvents, nextEvents.length, 0, resolveAll(insideSpan, events.slice(open + 1, index), context));
+                }
+                splice(nextEvents, nextEvents.length, 0, [
+                    ['exit', text, context],
+                    ['enter', closer, context],
+                    ['exit', closer, context],
+                    ['exit', span, context]
+                ]);
+
+                splice(events, open - 1, index - open + 3, nextEvents);
+                index = open + nextEvents.length - 2;
+                break;
+            }
+        }
+
+        for (const [, token] of events) {
+            if (token.type === temporary) token.type = 'data';
+        }
+        return events;
+    };
+}
+
+const resolvers = Object.fromEntries(Object.entries(spans).map(([type, span]) => [type, createResolver(type, span)]));
+
+function createSyntax() {
+    const text = {};
+    const insideSpan = [];
+    const add = (construct, sequence) => {
+        const code = sequence.charCodeAt(0);
+        text[code] = [...(text[code] || []), construct];
+        insideSpan.push(construct);
+    };
+
+    for (const [type, span] of Object.entries(spans)) {
+        if (span.open === span.close) {
+            add(createSequence(type, span.open, { canOpen: true, canClose: true }), span.open);
+        } else {
+            add(createSequence(type, span.open, { canOpen: true, canClose: false }), span.open);
+            add(createSequence(type, span.close, { canOpen: false, canClose: true }), span.close);
+        }
+    }
+    // So `*` and `_` emphasis can open or close right next to `==` and `^`
+    return { text, insideSpan: { null: insideSpan }, attentionMarkers: { null: codesOf('=^') } };
+}
+
+function createFromMarkdown() {
+    const enter = {};
+    const exit = {};
+    for (const [type, { tagName, className }] of Object.entries(spans)) {
+        enter[type] = function (token) {
+            const data = { hName: tagName, ...(className && { hProperties: { className: [className] } }) };
+            this.enter({ type, children: [], data }, token);
+        };
+        exit[type] = function (token) {
+            this.exit(token);
+        };
+    }
+    // Like emphasis, a span keeps the line endings inside it
+    return { canContainEols: Object.keys(spans), enter, exit };
+}
+
+/**
+ * Parses ==mark==, ^superscript^ and _-subscript-_ into `mark`, `superscript`
+ * and `subscript` nodes, which become <mark>, <sup> and <sub>
+ */
+export function remarkInlineSpans() {
+    const data = this.data();
+    (data.micromarkExtensions ||= []).push(createSyntax());
+    (data.fromMarkdownExtensions ||= []).push(createFromMarkdown());
+}
@@ -0,0 +1,119 @@
+// lint.js - Warnings about markdown that renders, but not the way it was meant to
+// Each check adds a vfile message placed at the node at fault. The CLI prints
+// them; the page lists them in its diagnostics panel (see src/diagnostics.js).
+
+import { slug } from 'github-slugger';
+import { toString } from 'mdast-util-to-string';
+import { visit } from './visit.js';
+
+const SOURCE = 'izysays';
+const FENCE = /^\s*:{3,}\s*$/;
+
+function warn(file, reason, node, ruleId) {
+    return file.message(reason, { place: node.position, source: SOURCE, ruleId });
+}
+
+function headingText(node) {
+    return toString(node).trim();
+}
+
+/**
+ * Checks `:::` directives while they are still directives: ones that are
+ * never closed, and fences that didn't parse as a directive at all
+ */
+export function remarkLintDirectives() {
+    return (tree, file) => {
+        const lines = String(file.value).split(/\r?\n/);
+
+        visit(tree, (node) => {
+            if (node.type === 'containerDirective' && node.position) {
+                // A closed directive ends on its own fence line; an unclosed one
+                // ends wherever its last child (or its parent) does
+                const endLine = node.position.end.line;
+                const endsOnChild = node.children.some(child => child.position?.end.line === endLine);
+                if (!FENCE.test(lines[endLine - 1] || '') || endsOnChild) {
+                    warn(file, `":::${node.name}" is never closed, so it runs to the end of what contains it`, node, 'unclosed-directive');
+                }
+            }
+
+            const text = node.type === 'paragraph' && node.children[0]?.type === 'text' && node.children[0].value;
+            if (typeof text === 'string' && text.startsWith(':::')) {
+                const reason = /^:{3,}[ \t]+[a-z]/i.test(text)
+                    ? 'A ":::" fence with a space before its name is not a directive; write ":::name"'
+                    : 'A ":::" fence with no directive to close';
+                warn(file, reason, node, 'stray-fence');
+            }
+        });
+    };
+}
+
+/**
+ * Checks headings once the table of contents is in: headings that end up
+ * with the same id, and a contents heading with nothing listed under it
+ * @param {Object|false} options
+ * @param {string} [options.tocHeading] - Pattern of the contents heading, or
+ *   leave out when there is no table of contents
+ */
+export function remarkLintHeadings({ tocHeading } = {}) {
+    const tocPattern = tocHeading && new RegExp(`^(${tocHeading})$`, 'i');
+
+    return (tree, file) => {
+        const seen = new Map();
+
+        visit(tree, (node) => {
+            if (node.type === 'heading') {
+                const id = slug(headingText(node));
+                const first = seen.get(id);
+                if (first) {
+                    const where = first.position ? ` on line ${first.position.start.line}` : '';
+                    warn(file, `Heading "${headingText(node)}" has the same id as the one${where}, so #${id} links go to that one`, node, 'duplicate-heading');
+                } else if (id) {
+                    seen.set(id, node);
+                }
+            }
+
+            if (!tocPattern || !node.children) return;
+            node.children.forEach((child, index) => {
+                if (child.type !== 'heading' || !tocPattern.test(headingText(child))) return;
+                if (node.children[index + 1]?.type !== 'list') {
+                    warn(file, `"${headingText(child)}" has no contents under it: there are no other headings to list`, child, 'empty-toc');
+                }
+            });
+        });
+    };
+}
+
+/**
+ * Checks `#fragment` links against the ids in the finished page. Runs after
+ * rehype-slug, so heading ids are there.
+ */
+export function rehypeLintFragments() {
+    return (tree, file) => {
+        const ids = new Set();
+        const links = [];
+
+        visit(tree, (node) => {
+            if (node.type !== 'element') return;
+            if (node.properties?.id) ids.add(String(node.properties.id));
+            if (node.tagName === 'a' && node.properties?.name) ids.add(String(node.properties.name));
+
+            const href = node.tagName === 'a' && node.properties?.href;
+            if (typeof href === 'string' && href.startsWith('#')) links.push(node);
+        });
+
+        for (const link of links) {
+            const href = link.properties.href;
+            let fragment = href.slice(1);
+            try {
+                fragment = decodeURIComponent(fragment);
+            } catch {
+                // Compare the fragment as written
+            }
+            // An empty fragment and #top scroll to the top without an element
+            if (!fragment || fragment.toLowerCase() === 'top' || ids.has(fragment)) continue;
+
+            const message = warn(file, `Nothing on the page has the id "${fragment}" that ${href} points to`, link, 'missing-fragment');
+            message.actual = href;
+        }
+    };
+}
@@ -0,0 +1,29 @@
+// mermaid.js - Marks ```mermaid fences for the page to draw
+// The renderer stays DOM-free, so it only turns them into `<pre class="mermaid">`
+// holding the diagram source; mermaidDiagrams.js draws them on the page.
+
+import { visit } from './visit.js';
+
+function textOf(node) {
+    if (node.type === 'text') return node.value;
+    return (node.children || []).map(textOf).join('');
+}
+
+/**
+ * Rewrites `<pre><code class="language-mermaid">` to `<pre class="mermaid">`,
+ * in place, so the block keeps its position and `data-source-lines`
+ */
+export function rehypeMermaid() {
+    return (tree) => {
+        visit(tree, (node) => {
+            if (node.type !== 'element' || node.tagName !== 'pre') return;
+
+            const elements = node.children.filter(child => child.type === 'element');
+            const code = elements.length === 1 && elements[0].tagName === 'code' && elements[0];
+            if (!code || !code.properties?.className?.includes('language-mermaid')) return;
+
+            node.properties = { ...node.properties, className: ['mermaid'] };
+            node.children = [{ type: 'text', value: textOf(code) }];
+        });
+    };
+}
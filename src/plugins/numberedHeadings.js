@@ -0,0 +1,45 @@
+import { visit } from './visit.js';
+
+const HEADING = /^h([1-6])$/;
+
+/**
+ * Prefixes headings with outline numbers such as "2.1". A lone H1 is treated
+ * as the document title and left unnumbered. Runs after rehype-slug so the
+ * numbers don't end up in the ids.
+ */
+export function rehypeNumberedHeadings() {
+    return (tree) => {
+        const headings = [];
+        visit(tree, (node) => {
+            const match = node.type === 'element' && HEADING.exec(node.tagName);
+            if (match && !node.properties?.className?.includes('sr-only')) {
+                headings.push({ node, level: Number(match[1]) });
+            }
+        });
+        if (!headings.length) return;
+
+        let top = Math.min(...headings.map(heading => heading.level));
+        if (top === 1 && headings.filter(heading => heading.level === 1).length === 1) top = 2;
+
+        const counters = [];
+        for (const { node, level } of headings) {
+            if (level < top) continue;
+
+            const depth = level - top;
+            counters.length = depth + 1;
+            for (let i = 0; i < depth; i++) counters[i] = counters[i] || 0;
+            counters[depth] = (counters[depth] || 0) + 1;
+
+            const number = {
+                type: 'element',
+                tagName: 'span',
+                properties: { className: ['heading-number'] },
+                children: [{ type: 'text', value: `${counters.join('.')} ` }]
+            };
+
+            // Keep the anchor link first so it stays in the gutter
+            const anchorFirst = node.children[0]?.properties?.className?.includes('heading-anchor-link');
+            node.children.splice(anchorFirst ? 1 : 0, 0, number);
+        }
+    };
+}
@@ -0,0 +1,67 @@
+import { visit } from './visit.js';
+
+// Attributes that hold a URL, by element
+const urlAttributes = {
+    a: ['href'],
+    img: ['src'],
+    source: ['src'],
+    video: ['src', 'poster'],
+    audio: ['src'],
+    track: ['src']
+};
+
+const MARKDOWN_PATH = /\.(md|markdown|mdown)$/i;
+
+// Anything with a scheme (`https:`, `mailto:`, `data:` …), protocol-relative,
+// or a bare `#fragment` is left as written
+function isRelative(url) {
+    return !/^([a-z][a-z\d+.-]*:|\/\/|#)/i.test(url);
+}
+
+/**
+ * Whether a URL points at a markdown file the viewer can render
+ * @param {string} url - An absolute URL
+ * @returns {boolean}
+ */
+export function isMarkdownUrl(url) {
+    try {
+        return MARKDOWN_PATH.test(new URL(url).pathname);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Resolves relative links, images and media against the markdown file's URL,
+ * so they work wherever the HTML ends up. Links to other markdown files get a
+ * `markdown-link` class.
+ * @param {Object} options
+ * @param {string} [options.baseUrl] - URL of the markdown file; without one nothing is rewritten
+ */
+export function rehypeResolveUrls({ baseUrl } = {}) {
+    return (tree) => {
+        if (!baseUrl) return;
+
+        visit(tree, (node) => {
+            if (node.type !== 'element') return;
+            const attributes = urlAttributes[node.tagName];
+            if (!attributes) return;
+
+            for (const attribute of attributes) {
+                const value = node.properties?.[attribute];
+                if (typeof value !== 'string' || !value || !isRelative(value)) continue;
+
+                try {
+                    node.properties[attribute] = new URL(value, baseUrl).href;
+                } catch {
+                    // Leave URLs that can't be parsed alone
+                }
+            }
+
+            if (node.tagName === 'a' && typeof node.properties.href === 'string' && isMarkdownUrl(node.properties.href)) {
+                const className = node.properties.className || [];
+                node.properties.className = [...className, 'markdown-link'];
+            }
+        });
+    };
+}
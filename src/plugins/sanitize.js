@@ -0,0 +1,82 @@
+import { defaultSchema } from 'rehype-sanitize';
+import { visit } from './visit.js';
+
+// Trust levels for raw HTML in markdown:
+//   strict  - raw HTML is shown as literal text
+//   safe    - raw HTML is parsed and run through `sanitizeSchema`
+//   trusted - raw HTML is passed through untouched
+export const trustLevels = ['strict', 'safe', 'trusted'];
+
+const CLOBBER_PREFIX = defaultSchema.clobberPrefix;
+
+// GitHub's schema plus the classes and attributes our own plugins emit, so
+// the output survives even if those plugins end up running before the sanitizer
+export const sanitizeSchema = {
+    ...defaultSchema,
+    tagNames: [...defaultSchema.tagNames, 'mark'],
+    attributes: {
+        ...defaultSchema.attributes,
+        // The default schema allows one class on links; add ours to the same entry
+        a: [
+            ...defaultSchema.attributes.a.filter(attribute => !Array.isArray(attribute)),
+            ['className', 'data-footnote-backref', 'wikilink']
+        ],
+        code: [['className', /^language-./, 'math-inline', 'math-display', 'hljs'], 'dataMeta'],
+        pre: [['className', 'has-language', 'mermaid'], 'dataLanguage'],
+        span: [['className', /^hljs-./]],
+        div: [
+            ...defaultSchema.attributes.div,
+            ['className', 'admonition', /^admonition-./, 'language-icon', 'code-import-error',
+                'wiki-embed', 'wiki-embed-error']
+        ],
+        details: [['className', 'admonition', /^admonition-./]],
+        summary: [...(defaultSchema.attributes.summary || []), ['className', 'admonition-title']],
+        p: [['className', 'wiki-embed-title']],
+        sup: [['className', 'suptext']],
+        sub: [['className', 'subtext']]
+    }
+};
+
+/**
+ * Turns raw HTML in the markdown into plain text so it is displayed, not run
+ */
+export function remarkEscapeHtml() {
+    return (tree) => {
+        visit(tree, (node) => {
+            if (node.type === 'html') {
+                node.type = 'text';
+            }
+        });
+    };
+}
+
+/**
+ * The sanitizer prefixes user ids with `user-content-` to stop them clobbering
+ * globals. Point `#fragment` links at the prefixed id when that is the only match.
+ */
+export function rehypeClobberedLinks() {
+    return (tree) => {
+        const ids = new Set();
+        visit(tree, (node) => {
+            if (node.type === 'element' && node.properties?.id) {
+                ids.add(String(node.properties.id));
+            }
+        });
+
+        visit(tree, (node) => {
+            const href = node.type === 'element' && node.tagName === 'a' && node.properties?.href;
+            if (typeof href !== 'string' || !href.startsWith('#')) return;
+
+            let fragment = href.slice(1);
+            try {
+                fragment = decodeURIComponent(fragment);
+            } catch {
+                // Keep the fragment as written
+            }
+
+            if (!ids.has(fragment) && ids.has(CLOBBER_PREFIX + fragment)) {
+                node.properties.href = `#${CLOBBER_PREFIX}${fragment}`;
+            }
+        });
+    };
+}
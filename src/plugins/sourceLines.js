@@ -0,0 +1,26 @@
+// sourceLines.js - Records which markdown lines each rendered block came from
+// The page's source view reads `data-source-lines` to jump between the two.
+
+import { visit } from './visit.js';
+
+const BLOCKS = new Set([
+    'p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'ul', 'ol', 'li',
+    'table', 'tr', 'hr', 'div', 'dl', 'details', 'figure'
+]);
+
+/**
+ * Adds `data-source-lines="start-end"` (1-based, inclusive) to block elements
+ * that still know their position. Nodes made by plugins, and notes embedded
+ * from other files, have none and are left alone.
+ */
+export function rehypeSourceLines() {
+    return (tree) => {
+        visit(tree, (node) => {
+            if (node.type !== 'element' || !BLOCKS.has(node.tagName)) return;
+            const { start, end } = node.position || {};
+            if (!start?.line || !end?.line) return;
+
+            node.properties.dataSourceLines = `${start.line}-${end.line}`;
+        });
+    };
+}
@@ -0,0 +1,41 @@
+// taskLists.js - Points each task list checkbox at its `[ ]` in the markdown
+// The page reads `data-task-offset` to tick items and write the change back
+// to an updated copy of the file (see src/taskLists.js).
+
+import { visit } from './visit.js';
+
+// The list marker and the box that follows it, from the start of a list item
+const TASK_MARKER = /^(?:[-+*]|\d{1,9}[.)])[ \t]+\[[ xX]\]/;
+
+// The checkbox is the item's first child, or the first child of its first
+// paragraph when the list is loose
+function findCheckbox(item) {
+    const first = item.children.find(child => child.type === 'element');
+    const candidate = first?.tagName === 'p'
+        ? first.children.find(child => child.type === 'element')
+        : first;
+    return candidate?.tagName === 'input' && candidate.properties.type === 'checkbox' ? candidate : null;
+}
+
+/**
+ * Adds `data-task-offset`, the index of the `[` of the item's box in the
+ * source, to task list checkboxes. Items without a position, such as those
+ * from embedded notes, are left alone.
+ */
+export function rehypeTaskOffsets() {
+    return (tree, file) => {
+        const source = String(file.value);
+
+        visit(tree, (node) => {
+            if (node.type !== 'element' || node.tagName !== 'li') return;
+            if (!node.properties.className?.includes('task-list-item')) return;
+
+            const start = node.position?.start?.offset;
+            const checkbox = start !== undefined && findCheckbox(node);
+            const match = checkbox && TASK_MARKER.exec(source.slice(start, start + 32));
+            if (!match) return;
+
+            checkbox.properties.dataTaskOffset = start + match[0].length - 3;
+        });
+    };
+}
@@ -0,0 +1,7 @@
+// Helper function to traverse AST nodes
+export function visit(node, callback) {
+    callback(node);
+    if (node.children) {
+        node.children.forEach(child => visit(child, callback));
+    }
+}
@@ -0,0 +1,303 @@
+import { markdownLineEnding } from 'micromark-util-character';
+import { toString } from 'mdast-util-to-string';
+import { slug } from 'github-slugger';
+
+// Obsidian-style [[Page]], [[Page#Heading|alias]] and ![[Page]] embeds
+
+const EXCLAMATION = 33;
+const LEFT_BRACKET = 91;
+const RIGHT_BRACKET = 93;
+
+const IMAGE_EXTENSION = /\.(png|jpe?g|gif|svg|webp|avif|bmp)$/i;
+const HAS_EXTENSION = /\.[^/.]+$/;
+const MAX_EMBED_DEPTH = 5;
+
+function createConstruct(type, embed) {
+    const markerType = `${type}Marker`;
+    const valueType = `${type}Value`;
+
+    function tokenize(effects, ok, nok) {
+        let size = 0;
+
+        return start;
+
+        function start(code) {
+            effects.enter(type);
+            effects.enter(markerType);
+            if (embed) {
+                effects.consume(code);
+                return open;
+            }
+            return open(code);
+        }
+
+        function open(code) {
+            if (code !== LEFT_BRACKET) return nok(code);
+            effects.consume(code);
+            return openSecond;
+        }
+
+        function openSecond(code) {
+            if (code !== LEFT_BRACKET) return nok(code);
+            effects.consume(code);
+            effects.exit(markerType);
+            effects.enter(valueType);
+            return value;
+        }
+
+        function value(code) {
+            if (code === null || markdownLineEnding(code) || code === LEFT_BRACKET) return nok(code);
+            if (code === RIGHT_BRACKET) {
+                if (!size) return nok(code);
+                effects.exit(valueType);
+                effects.enter(markerType);
+                effects.consume(code);
+                return close;
+            }
+            effects.consume(code);
+            size++;
+            return value;
+        }
+
+        function close(code) {
+            if (code !== RIGHT_BRACKET) return nok(code);
+            effects.consume(code);
+            effects.exit(markerType);
+            effects.exit(type);
+            return ok;
+        }
+    }
+
+    return { name: type, tokenize };
+}
+
+const syntax = {
+    text: {
+        [LEFT_BRACKET]: createConstruct('wikiLink', false),
+        [EXCLAMATION]: createConstruct('wikiEmbed', true)
+    }
+};
+
+/**
+ * Splits the inside of [[…]] into its parts
+ * @param {string} value - Such as `Page#Heading|alias`
+ * @returns {Object} - `{ target, heading, alias }`
+ */
+export function parseWikiTarget(value) {
+    // Inside tables the pipe has to be escaped as \|
+    const [link, ...rest] = value.replace(/\\\|/g, '|').split('|');
+    const alias = rest.join('|').trim() || null;
+    const hash = link.indexOf('#');
+    const target = (hash === -1 ? link : link.slice(0, hash)).trim();
+    const heading = hash === -1 ? null : link.slice(hash + 1).trim() || null;
+    return { target, heading, alias };
+}
+
+/**
+ * The relative URL a wiki target points at: a sibling `.md` file unless the
+ * target names another extension, plus the heading's slug
+ * @param {Object} parts - As returned by `parseWikiTarget()`
+ * @returns {string}
+ */
+export function wikiUrl({ target, heading }) {
+    let url = '';
+    if (target) {
+        const path = HAS_EXTENSION.test(target) ? target : `${target}.md`;
+        url = path.split('/').map(encodeURIComponent).join('/');
+    }
+    return heading ? `${url}#${slug(heading)}` : url;
+}
+
+// What a wikilink shows when it has no alias
+function wikiLabel({ target, heading, alias }) {
+    if (alias) return alias;
+    if (!heading) return target;
+    return target ? `${target} › ${heading}` : heading;
+}
+
+const fromMarkdown = {
+    enter: {
+        wikiLink(token) {
+            this.enter({ type: 'link', url: '', title: null, children: [] }, token);
+        },
+        wikiEmbed(token) {
+            this.enter({ type: 'wikiEmbed', children: [] }, token);
+        }
+    },
+    exit: {
+        wikiLinkValue(token) {
+            const parts = parseWikiTarget(this.sliceSerialize(token));
+            const node = this.stack[this.stack.length - 1];
+            node.url = wikiUrl(parts);
+            node.children = [{ type: 'text', value: wikiLabel(parts) }];
+            node.data = { hProperties: { className: ['wikilink'] } };
+        },
+        wikiLink(token) {
+            this.exit(token);
+        },
+        wikiEmbedValue(token) {
+            const node = this.stack[this.stack.length - 1];
+            node.wiki = parseWikiTarget(this.sliceSerialize(token));
+        },
+        wikiEmbed(token) {
+            this.exit(token);
+        }
+    }
+};
+
+// Path from the directory of one file: URL to another, for rebasing the links
+// inside an embedded note onto the note that embeds it
+function relativeUrl(from, to) {
+    const fromParts = new URL(from).pathname.split('/').slice(0, -1);
+    const toUrl = new URL(to);
+    const toParts = toUrl.pathname.split('/');
+
+    let common = 0;
+    while (common < fromParts.length && common < toParts.length - 1 && fromParts[common] === toParts[common]) common++;
+
+    const up = fromParts.slice(common).map(() => '..');
+    return [...up, ...toParts.slice(common)].join('/') + toUrl.search + toUrl.hash;
+}
+
+function isRelative(url) {
+    return !/^([a-z][a-z\d+.-]*:|\/\/|#)/i.test(url);
+}
+
+// Makes nodes from an embedded note fit the embedding one: URLs are rebased,
+// and positions, which point into the other file, are dropped
+function adoptNodes(node, noteUrl, parentUrl) {
+    if (typeof node.url === 'string' && node.url && isRelative(node.url)) {
+        node.url = relativeUrl(parentUrl, new URL(node.url, noteUrl).href);
+    }
+    delete node.position;
+    node.children?.forEach(child => adoptNodes(child, noteUrl, parentUrl));
+}
+
+// The nodes under a heading, up to the next heading of the same or a higher level
+function headingSection(nodes, heading) {
+    const wanted = slug(heading);
+    const start = nodes.findIndex(node => node.type === 'heading' && slug(toString(node)) === wanted);
+    if (start === -1) return null;
+
+    const end = nodes.findIndex((node, index) =>
+        index > start && node.type === 'heading' && node.depth <= nodes[start].depth);
+    return nodes.slice(start, end === -1 ? undefined : end);
+}
+
+function embedBlock(className, children) {
+    return {
+        type: 'wikiEmbedBlock',
+        data: { hName: 'div', hProperties: { className: [className] } },
+        children
+    };
+}
+
+function embedError(message) {
+    return embedBlock('wiki-embed-error', [{ type: 'text', value: message }]);
+}
+
+// `![[…]]` alone in a paragraph can hold a whole note; inline ones only images
+function embedParagraph(node) {
+    if (node.type !== 'paragraph') return null;
+    const children = node.children.filter(child => child.type !== 'text' || child.value.trim());
+    return children.length === 1 && children[0].type === 'wikiEmbed' ? children[0] : null;
+}
+
+/**
+ * Adds [[wikilink]] and ![[embed]] syntax. Links become ordinary links to
+ * sibling `.md` files; embeds of notes are read, parsed and inlined, embeds
+ * of images become images.
+ * @param {Object} options
+ * @param {string} [options.baseUrl] - URL of the markdown file
+ * @param {Function} [options.readFile] - `(url) => Promise<string>`; one in
+ *   `file.data.readFile` takes its place for that render
+ */
+export function remarkWikilinks({ baseUrl, readFile } = {}) {
+    const processor = this;
+    const data = processor.data();
+    (data.micromarkExtensions ||= []).push(syntax);
+    (data.fromMarkdownExtensions ||= []).push(fromMarkdown);
+
+    async function loadNote(parts, fromUrl, ancestors, file) {
+        const read = file.data.readFile || readFile;
+        if (!baseUrl || !read) throw new Error('notes can only be embedded when rendering a file');
+
+        const url = new URL(wikiUrl({ target: parts.target }), fromUrl).href;
+        if (ancestors.includes(url)) throw new Error('the note embeds itself');
+        if (ancestors.length > MAX_EMBED_DEPTH) throw new Error('embeds are nested too deeply');
+
+        const tree = processor.parse(await read(url));
+        let nodes = tree.children.filter(node => node.type !== 'yaml' && node.type !== 'toml');
+        if (parts.heading) {
+            nodes = headingSection(nodes, parts.heading);
+            if (!nodes) throw new Error(`no heading "${parts.heading}"`);
+        }
+
+        const embedded = { type: 'root', children: nodes };
+        await expand(embedded, url, [...ancestors, url], file);
+        adoptNodes(embedded, url, fromUrl);
+        return embedded.children;
+    }
+
+    function imageNode(parts) {
+        const width = parts.alias && /^\d+$/.test(parts.alias) ? parts.alias : null;
+        return {
+            type: 'image',
+            url: wikiUrl({ target: parts.target }),
+            alt: width ? parts.target : parts.alias || parts.target,
+            title: null,
+            ...(width && { data: { hProperties: { width } } })
+        };
+    }
+
+    async function expand(tree, fromUrl, ancestors, file) {
+        const pending = [];
+
+        (function walk(parent) {
+            parent.children?.forEach((node, index) => {
+                const embed = embedParagraph(node);
+                const parts = embed?.wiki;
+
+                if (parts && parts.target && !IMAGE_EXTENSION.test(parts.target)) {
+                    pending.push(loadNote(parts, fromUrl, ancestors, file)
+                        .then(children => embedBlock('wiki-embed', [
+                            {
+                                type: 'paragraph',
+                                data: { hProperties: { className: ['wiki-embed-title'] } },
+                                children: [{ type: 'link', url: wikiUrl(parts), title: null, children: [{ type: 'text', value: wikiLabel(parts) }] }]
+                            },
+                            ...children
+                        ]))
+                        .catch((error) => {
+                            const reason = `Could not embed ${wikiLabel(parts)}: ${error.message}`;
+                            // Positions inside an embedded note point into that note
+                            const place = ancestors.length <= 1 ? node.position : undefined;
+                            file.message(reason, { place, source: 'izysays', ruleId: 'embed' });
+                            return embedError(reason);
+                        })
+                        .then(block => {
+                            block.position = node.position;
+                            parent.children[index] = block;
+                        }));
+                    return;
+                }
+
+                if (node.type === 'wikiEmbed') {
+                    // Images, and notes embedded in the middle of a line, which only get a link
+                    parent.children[index] = IMAGE_EXTENSION.test(node.wiki.target)
+                        ? imageNode(node.wiki)
+                        : { type: 'link', url: wikiUrl(node.wiki), title: null, children: [{ type: 'text', value: wikiLabel(node.wiki) }], data: { hProperties: { className: ['wikilink'] } } };
+                    return;
+                }
+
+                walk(node);
+            });
+        })(tree);
+
+        await Promise.all(pending);
+    }
+
+    return async (tree, file) => {
+        await expand(tree, baseUrl || 'file:///', baseUrl ? [baseUrl] : [], file);
+    };
+}
@@ -0,0 +1,149 @@
+// popup.js - Toolbar popup: controls for the active tab, quick settings, recent files and a scratchpad
+
+import { loadSettings, saveSettings } from './settings.js';
+import { themes } from './themeNames.js';
+import { applyTheme } from './themes.js';
+import { loadRecentFiles, clearRecentFiles, loadScratchpad, saveScratchpad } from './recentFiles.js';
+
+const themeSelect = document.getElementById('theme');
+const trustLevelSelect = document.getElementById('trust-level');
+const scratchpad = document.getElementById('scratchpad');
+
+// -----------------------------------------------------------------------------
+// THIS TAB
+// -----------------------------------------------------------------------------
+
+let activeTab = null;
+
+// Resolves to null when the tab isn't a rendered markdown file, as then
+// there is no content script to answer
+async function sendToTab(type) {
+    if (!activeTab) return null;
+    try {
+        return await chrome.tabs.sendMessage(activeTab.id, { type });
+    } catch {
+        return null;
+    }
+}
+
+function showTabStatus(status) {
+    const section = document.getElementById('this-tab');
+    section.hidden = !status;
+    if (!status) return;
+
+    document.getElementById('tab-title').textContent = status.title;
+    document.getElementById('toggle-source').textContent = status.sourceMode === 'off' ? 'Show source' : 'Show rendered';
+    document.getElementById('trust-file').checked = status.trusted;
+}
+
+async function setupThisTab() {
+    [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    let status = await sendToTab('zysays:status');
+    showTabStatus(status);
+
+    document.getElementById('toggle-source').addEventListener('click', async () => {
+        status = await sendToTab('zysays:toggleSource');
+        showTabStatus(status);
+    });
+
+    // Trust is only changed from here and the options page, never from the
+    // page itself; the tab re-renders when the list changes
+    document.getElementById('trust-file').addEventListener('change', async (event) => {
+        const { trustedPaths } = await loadSettings();
+        const others = trustedPaths.filter(path => path !== status.path);
+        await saveSettings({ trustedPaths: event.target.checked ? [...others, status.path] : others });
+    });
+}
+
+// -----------------------------------------------------------------------------
+// QUICK SETTINGS
+// -----------------------------------------------------------------------------
+
+async function setupQuickSettings() {
+    for (const [value, label] of Object.entries(themes)) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        themeSelect.appendChild(option);
+    }
+
+    const settings = await loadSettings();
+    themeSelect.value = settings.theme;
+    trustLevelSelect.value = settings.trustLevel;
+    applyTheme(settings.theme);
+
+    themeSelect.addEventListener('change', () => {
+        applyTheme(themeSelect.value);
+        saveSettings({ theme: themeSelect.value });
+    });
+    trustLevelSelect.addEventListener('change', () => saveSettings({ trustLevel: trustLevelSelect.value }));
+}
+
+// -----------------------------------------------------------------------------
+// RECENT FILES
+// -----------------------------------------------------------------------------
+
+function folderOf(url) {
+    const path = decodeURIComponent(new URL(url).pathname);
+    return path.slice(0, path.lastIndexOf('/') + 1);
+}
+
+async function renderRecentFiles() {
+    const files = await loadRecentFiles();
+    const list = document.getElementById('recent-files');
+    document.getElementById('no-recent-files').hidden = files.length > 0;
+    document.getElementById('clear-recent').hidden = files.length === 0;
+
+    list.replaceChildren(...files.map(file => {
+        const item = document.createElement('li');
+        const link = document.createElement('a');
+        link.href = file.url;
+        link.title = decodeURIComponent(new URL(file.url).pathname);
+        link.textContent = file.title;
+
+        const folder = document.createElement('span');
+        folder.className = 'recent-folder';
+        folder.textContent = folderOf(file.url);
+        link.appendChild(folder);
+
+        // A popup link would open inside the popup, so go through the tabs API.
+        // Ctrl/Cmd-click keeps the current tab and opens a new one.
+        link.addEventListener('click', (event) => {
+            event.preventDefault();
+            if (event.ctrlKey || event.metaKey || !activeTab) {
+                chrome.tabs.create({ url: file.url });
+            } else {
+                chrome.tabs.update(activeTab.id, { url: file.url });
+            }
+            window.close();
+        });
+
+        item.appendChild(link);
+        return item;
+    }));
+}
+
+// -----------------------------------------------------------------------------
+// SCRATCHPAD
+// -----------------------------------------------------------------------------
+
+async function setupScratchpad() {
+    scratchpad.value = await loadScratchpad();
+
+    // Saved on every keystroke: the popup can close at any moment, and a
+    // debounced save still waiting then would never run
+    scratchpad.addEventListener('input', () => saveScratchpad(scratchpad.value));
+
+    document.getElementById('render-scratchpad').addEventListener('click', async () => {
+        await saveScratchpad(scratchpad.value);
+        chrome.tabs.create({ url: chrome.runtime.getURL('scratchpad.html') });
+    });
+}
+
+document.getElementById('clear-recent').addEventListener('click', async () => {
+    await clearRecentFiles();
+    renderRecentFiles();
+});
+document.getElementById('open-options').addEventListener('click', () => chrome.runtime.openOptionsPage());
+
+await Promise.all([setupThisTab(), setupQuickSettings(), renderRecentFiles(), setupScratchpad()]);
@@ -0,0 +1,55 @@
+// recentFiles.js - What the popup remembers: recently opened files and the scratchpad draft
+// Kept apart from the settings: opening a file shouldn't look like a settings
+// change to the other open tabs.
+
+const RECENT_FILES_KEY = 'recentFiles';
+const SCRATCHPAD_KEY = 'scratchpad';
+const MAX_RECENT_FILES = 12;
+
+/**
+ * @returns {Promise<Object[]>} - `{ url, title, openedAt }`, newest first
+ */
+export async function loadRecentFiles() {
+    try {
+        const stored = await chrome.storage.local.get(RECENT_FILES_KEY);
+        return Array.isArray(stored[RECENT_FILES_KEY]) ? stored[RECENT_FILES_KEY] : [];
+    } catch (error) {
+        console.warn('zysays: Could not read recent files:', error);
+        return [];
+    }
+}
+
+/**
+ * Moves a file to the top of the list, adding it if it's new
+ * @param {string} url - The file's URL, without a fragment
+ * @param {string} title - The page title shown for it
+ * @returns {Promise<void>}
+ */
+export async function recordRecentFile(url, title) {
+    const files = (await loadRecentFiles()).filter(file => file.url !== url);
+    files.unshift({ url, title, openedAt: Date.now() });
+    return chrome.storage.local.set({ [RECENT_FILES_KEY]: files.slice(0, MAX_RECENT_FILES) });
+}
+
+/**
+ * @returns {Promise<void>}
+ */
+export function clearRecentFiles() {
+    return chrome.storage.local.remove(RECENT_FILES_KEY);
+}
+
+/**
+ * @returns {Promise<string>} - The markdown last typed or pasted into the scratchpad
+ */
+export async function loadScratchpad() {
+    const stored = await chrome.storage.local.get(SCRATCHPAD_KEY);
+    return typeof stored[SCRATCHPAD_KEY] === 'string' ? stored[SCRATCHPAD_KEY] : '';
+}
+
+/**
+ * @param {string} markdown
+ * @returns {Promise<void>}
+ */
+export function saveScratchpad(markdown) {
+    return chrome.storage.local.set({ [SCRATCHPAD_KEY]: markdown });
+}
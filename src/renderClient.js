@@ -0,0 +1,116 @@
+// renderClient.js - Renders markdown in renderWorker.js, or on the page if the worker can't start
+// Both paths report the same way, so content.js doesn't need to know which one ran.
+
+import { renderSections, summarizeFile } from './renderer.js';
+
+const WORKER_PATH = 'src/renderWorker.js';
+
+let worker = null;
+let workerBroken = false;
+let nextJobId = 0;
+const jobs = new Map();
+
+// A content script can't start a worker from the extension's origin directly,
+// so a small module worker on the page's origin imports the real one
+function startWorker() {
+    const source = `import ${JSON.stringify(chrome.runtime.getURL(WORKER_PATH))};`;
+    const shim = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+    const started = new Worker(shim, { type: 'module' });
+
+    started.addEventListener('message', ({ data }) => handleMessage(started, data));
+    started.addEventListener('error', (event) => {
+        event.preventDefault();
+        console.warn('zysays: Render worker failed, rendering on the page instead.', event.message || '');
+        giveUpOnWorker();
+    });
+    return started;
+}
+
+// Jobs that were in flight are rendered again on the page
+function giveUpOnWorker() {
+    workerBroken = true;
+    worker?.terminate();
+    worker = null;
+
+    const pending = Array.from(jobs.values());
+    jobs.clear();
+    for (const job of pending) {
+        renderOnPage(job.markdown, job.options, job.callbacks).then(job.resolve, job.reject);
+    }
+}
+
+function handleMessage(source, data) {
+    if (data.type === 'read') {
+        answerRead(source, data);
+        return;
+    }
+
+    const job = jobs.get(data.id);
+    if (!job) return;
+
+    if (data.type === 'preview') {
+        job.callbacks.onPreview?.(data.html, data.summary, data.time);
+    } else if (data.type === 'batch') {
+        job.callbacks.onBatch?.(data.pieces, data.summary);
+    } else if (data.type === 'done') {
+        jobs.delete(data.id);
+        job.resolve({ ...data.summary, timings: data.timings, inWorker: true });
+    } else if (data.type === 'error') {
+        jobs.delete(data.id);
+        const error = new Error(data.message);
+        error.stack = data.stack;
+        job.reject(error);
+    }
+}
+
+async function answerRead(source, { id, job, url }) {
+    try {
+        const readFile = jobs.get(job)?.readFile;
+        if (!readFile) throw new Error(`Cannot read ${url}`);
+        const text = await readFile(url);
+        source.postMessage({ type: 'readResult', id, text });
+    } catch (error) {
+        source.postMessage({ type: 'readResult', id, error: error.message });
+    }
+}
+
+async function renderOnPage(markdown, options, callbacks) {
+    const file = await renderSections(markdown, options, async (pieces, current) => {
+        callbacks.onBatch?.(pieces, summarizeFile(current));
+        // Give the page a frame to show what it has so far
+        await new Promise(resolve => requestAnimationFrame(resolve));
+    });
+    return { ...summarizeFile(file), timings: file.data.timings, inWorker: false };
+}
+
+/**
+ * Renders a markdown file, streaming the HTML back in batches
+ * (see `renderSections()` in renderer.js for how to place them)
+ * @param {string} markdown - The markdown source
+ * @param {Object} options - Render options; `readFile` stays on the page and
+ *   is called on the worker's behalf
+ * @param {Object} [callbacks] - `onPreview(html, summary, ms)` for a quick
+ *   render of the start of a long file, `onBatch(pieces, summary)` for the
+ *   real output
+ * @returns {Promise<Object>} - `{ frontmatter, theme, disabled, messages, timings, inWorker }`
+ */
+export function renderDocument(markdown, options, callbacks = {}) {
+    if (!worker && !workerBroken) {
+        try {
+            worker = startWorker();
+        } catch (error) {
+            console.warn('zysays: Render worker unavailable, rendering on the page instead.', error);
+            workerBroken = true;
+        }
+    }
+    if (workerBroken) {
+        return renderOnPage(markdown, options, callbacks);
+    }
+
+    const { readFile, ...serializable } = options;
+    return new Promise((resolve, reject) => {
+        const id = nextJobId++;
+        jobs.set(id, { markdown, options, callbacks, readFile, resolve, reject });
+        worker.postMessage({ type: 'render', id, markdown, options: serializable });
+    });
+}
@@ -0,0 +1,79 @@
+// renderWorker.js - Runs the markdown pipeline off the page's main thread
+// Started by renderClient.js. The processor is built on the first render and
+// reused for every later one with the same options.
+
+import { renderFile, renderSections, summarizeFile } from './renderer.js';
+
+// Sources longer than twice this get a quick preview of their first part
+// before the full render, which has to parse the whole file first
+const PREVIEW_LENGTH = 64 * 1024;
+
+let nextReadId = 0;
+const pendingReads = new Map();
+
+// Functions can't be posted to a worker, so code imports and embeds ask the
+// page to read the file for them, with the `readFile` of the render they're part of
+function fileReader(job) {
+    return url => new Promise((resolve, reject) => {
+        const id = nextReadId++;
+        pendingReads.set(id, { resolve, reject });
+        self.postMessage({ type: 'read', id, job, url });
+    });
+}
+
+// The start of the source, cut before the first heading (outside a code
+// fence) that comes after `PREVIEW_LENGTH` characters
+function previewSource(markdown) {
+    const lines = markdown.split('\n');
+    let length = 0;
+    let fence = null;
+
+    for (let index = 0; index < lines.length; index++) {
+        const line = lines[index];
+        if (!fence && length >= PREVIEW_LENGTH && /^#{1,6}(\s|$)/.test(line)) {
+            return lines.slice(0, index).join('\n');
+        }
+
+        const marker = /^ {0,3}(`{3,}|~{3,})/.exec(line)?.[1];
+        if (marker && !fence) fence = marker;
+        else if (marker && fence && marker[0] === fence[0] && marker.length >= fence.length) fence = null;
+        length += line.length + 1;
+    }
+    return null;
+}
+
+async function render({ id, markdown, options }) {
+    const renderOptions = { ...options, readFile: fileReader(id) };
+    try {
+        const preview = markdown.length > PREVIEW_LENGTH * 2 && previewSource(markdown);
+        if (preview) {
+            const start = performance.now();
+            const file = await renderFile(preview, renderOptions);
+            self.postMessage({
+                type: 'preview',
+                id,
+                html: String(file),
+                summary: summarizeFile(file),
+                time: Math.round(performance.now() - start)
+            });
+        }
+
+        const file = await renderSections(markdown, renderOptions, (pieces, current) => {
+            self.postMessage({ type: 'batch', id, pieces, summary: summarizeFile(current) });
+        });
+        self.postMessage({ type: 'done', id, summary: summarizeFile(file), timings: file.data.timings });
+    } catch (error) {
+        self.postMessage({ type: 'error', id, message: error.message, stack: error.stack });
+    }
+}
+
+self.addEventListener('message', ({ data }) => {
+    if (data.type === 'render') {
+        render(data);
+    } else if (data.type === 'readResult') {
+        const read = pendingReads.get(data.id);
+        pendingReads.delete(data.id);
+        if (data.error) read?.reject(new Error(data.error));
+        else read?.resolve(data.text);
+    }
+});
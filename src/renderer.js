@@ -0,0 +1,512 @@
+// renderer.js - DOM-free markdown pipeline shared by the content script and the CLI
+// Nothing in here may touch `document`, `window` or `chrome`.
+
+import { rehypeCodeLanguageIcons } from './plugins/codeLanguageIcons.js';
+import { remarkAdmonitions, rehypeAdmonitions } from './plugins/admonitions.js';
+import { ellipses } from './plugins/ellipses.js';
+import { trustLevels, sanitizeSchema, remarkEscapeHtml, rehypeClobberedLinks } from './plugins/sanitize.js';
+import { rehypeFrontmatterCard } from './plugins/frontmatterCard.js';
+import { rehypeNumberedHeadings } from './plugins/numberedHeadings.js';
+import { rehypeResolveUrls } from './plugins/resolveUrls.js';
+import { remarkInlineSpans } from './plugins/inlineSpans.js';
+import { remarkCodeMeta, rehypeCodeMeta, rehypeCodeLines } from './plugins/codeBlocks.js';
+import { remarkCodeImport } from './plugins/codeImport.js';
+import { remarkWikilinks } from './plugins/wikilinks.js';
+import { rehypeSourceLines } from './plugins/sourceLines.js';
+import { rehypeTaskOffsets } from './plugins/taskLists.js';
+import { rehypeMermaid } from './plugins/mermaid.js';
+import { remarkLintDirectives, remarkLintHeadings, rehypeLintFragments } from './plugins/lint.js';
+import { parseFrontmatter, documentOptions, frontmatterText } from './frontmatter.js';
+import { VFile } from 'vfile';
+
+export { rehypeCodeLanguageIcons, remarkAdmonitions, rehypeAdmonitions, ellipses, trustLevels, sanitizeSchema };
+
+export const defaultOptions = {
+    tocHeading: 'toc|table[ -]of[ -]contents',
+    anchorGlyph: '#',
+    // One of `trustLevels`; decides what happens to raw HTML in the markdown
+    trust: 'safe',
+    // Prefix headings with "1.", "1.1" and so on; usually set from frontmatter
+    numberedHeadings: false,
+    // URL of the markdown file, for resolving relative links and images
+    baseUrl: null,
+    // `(url) => Promise<string>`, for code blocks that import a file; the
+    // content script and the CLI each pass their own. Each render hands it to
+    // the plugins in `file.data.readFile`, so it can differ between renders.
+    readFile: null,
+    // Mark blocks with `data-source-lines` for the page's source view
+    sourceLines: false,
+    // Mark task list checkboxes with `data-task-offset` so the page can tick them
+    taskOffsets: false,
+    // Plugins to leave out by name (see `moduleLoaders` and `ownPlugins`);
+    // the renderer adds the ones that fail
+    disabledPlugins: [],
+    // Nothing but CommonMark, the last resort when the full pipeline fails
+    plain: false,
+    // Optional parts of the pipeline, each can be switched off
+    features: {
+        toc: true,
+        sectionize: true,
+        ellipses: true,
+        a11yEmoji: true,
+        insSupersub: true,
+        headingAnchors: true,
+        languageIcons: true,
+        wikilinks: true
+    }
+};
+
+// Rendered HTML is handed out in batches of about this many characters; the
+// first one is smaller so the top of the page shows up quickly
+const FIRST_BATCH_SIZE = 4 * 1024;
+const SECTION_BATCH_SIZE = 16 * 1024;
+// Processors kept for reuse, one per distinct set of options
+const PROCESSOR_CACHE_SIZE = 4;
+
+let modulesPromise = null;
+const processorCache = new Map();
+
+// Loaders for the remark/rehype modules, by plugin name. Each is imported on
+// its own, so one that fails to load only costs its feature.
+const moduleLoaders = {
+    unified: async () => (await import('unified')).unified,
+    remarkParse: async () => (await import('remark-parse')).default,
+    remarkGfm: async () => (await import('remark-gfm')).default,
+    remarkRehype: async () => (await import('remark-rehype')).default,
+    rehypeHighlight: async () => (await import('rehype-highlight')).default,
+    rehypeStringify: async () => (await import('rehype-stringify')).default,
+    a11yEmoji: async () => (await import('@fec/remark-a11y-emoji')).default,
+    remarkFrontmatter: async () => (await import('remark-frontmatter')).default,
+    remarkDirective: async () => (await import('remark-directive')).default,
+    remarkTextr: async () => (await import('remark-textr')).default,
+    remarkToc: async () => (await import('remark-toc')).default,
+    sectionize: async () => (await import('remark-sectionize')).default,
+    remarkIns: async () => (await import('remark-ins')).default,
+    rehypeSlug: async () => (await import('rehype-slug')).default,
+    rehypeAutolinkHeadings: async () => (await import('rehype-autolink-headings')).default,
+    remarkMath: async () => (await import('remark-math')).default,
+    rehypeKatex: async () => (await import('rehype-katex')).default,
+    rehypeRaw: async () => (await import('rehype-raw')).default,
+    rehypeSanitize: async () => (await import('rehype-sanitize')).default
+};
+
+// Without these there is no safe pipeline at all; every other plugin can be
+// left out when it fails
+const CORE_MODULES = ['unified', 'remarkParse', 'remarkRehype', 'rehypeSanitize', 'rehypeStringify'];
+
+// Our own plugins, by name, so they can be left out the same way
+const ownPlugins = {
+    remarkLintDirectives,
+    remarkWikilinks,
+    remarkAdmonitions,
+    remarkLintHeadings,
+    remarkInlineSpans,
+    remarkCodeMeta,
+    remarkCodeImport,
+    rehypeResolveUrls,
+    rehypeSourceLines,
+    rehypeTaskOffsets,
+    rehypeFrontmatterCard,
+    rehypeLintFragments,
+    rehypeNumberedHeadings,
+    rehypeMermaid,
+    rehypeCodeMeta,
+    rehypeCodeLines,
+    rehypeCodeLanguageIcons,
+    rehypeAdmonitions
+};
+
+async function importModules() {
+    const names = Object.keys(moduleLoaders);
+    const results = await Promise.allSettled(names.map(name => moduleLoaders[name]()));
+
+    const modules = {};
+    const unavailable = new Map();
+    results.forEach((result, index) => {
+        modules[names[index]] = result.status === 'fulfilled' ? result.value : null;
+        if (result.status === 'rejected') unavailable.set(names[index], result.reason);
+    });
+
+    const missing = CORE_MODULES.filter(name => unavailable.has(name));
+    if (missing.length) {
+        console.error('Failed to load modules:', ...missing.map(name => unavailable.get(name)));
+        throw new Error(`Could not load required markdown processing modules: ${missing.join(', ')}`);
+    }
+    unavailable.forEach((error, name) => console.warn(`zysays: Could not load ${name}, rendering without it.`, error));
+
+    return { ...modules, unavailable };
+}
+
+/**
+ * Loads the remark/rehype modules once and caches them for later processors
+ * @returns {Promise<Object>} - Map of module name to plugin, null for an
+ *   optional one that failed to load; `unavailable` maps those names to the error
+ */
+export function loadModules() {
+    if (!modulesPromise) {
+        modulesPromise = importModules().catch(error => {
+            modulesPromise = null;
+            throw error;
+        });
+    }
+    return modulesPromise;
+}
+
+// Stands in for a plugin that is left out
+function skipped() {}
+
+function blame(error, name) {
+    // Only the innermost plugin is to blame, for plugins that run others
+    if (error instanceof Error && !error.plugin) error.plugin = name;
+    return error;
+}
+
+// Wraps a plugin so anything it throws, when attached or while transforming,
+// carries its name as `error.plugin`. Transformers may be sync, async or take
+// a callback, so the wrapper takes a callback and handles all three.
+function guard(name, plugin) {
+    return function (...options) {
+        let transformer;
+        try {
+            transformer = plugin.apply(this, options);
+        } catch (error) {
+            throw blame(error, name);
+        }
+        if (typeof transformer !== 'function') return transformer;
+
+        return function (tree, file, next) {
+            const fail = error => next(blame(error, name));
+            try {
+                if (transformer.length > 2) {
+                    transformer.call(this, tree, file, (error, ...rest) => (error ? fail(error) : next(null, ...rest)));
+                    return;
+                }
+                const result = transformer.call(this, tree, file);
+                if (typeof result?.then === 'function') result.then(output => next(null, output), fail);
+                else next(null, result);
+            } catch (error) {
+                fail(error);
+            }
+        };
+    };
+}
+
+// Markdown to sanitized HTML with nothing else, for when the full pipeline fails
+function createPlainProcessor(modules) {
+    return modules.unified()
+        .use(modules.remarkParse)
+        .use(modules.remarkRehype)
+        .use(modules.rehypeSanitize, sanitizeSchema)
+        .use(rehypeClobberedLinks)
+        .use(modules.rehypeStringify);
+}
+
+/**
+ * Builds the unified processor used to turn markdown into HTML
+ * @param {Object} [options] - Overrides for `defaultOptions`
+ * @returns {Promise<Object>} - A configured unified processor
+ */
+export async function createProcessor(options = {}) {
+    const settings = {
+        ...defaultOptions,
+        ...options,
+        features: { ...defaultOptions.features, ...options.features }
+    };
+    const { features } = settings;
+
+    const modules = await loadModules();
+    // The fallback always sanitizes, whatever the trust level
+    if (settings.plain) return createPlainProcessor(modules);
+
+    if (!trustLevels.includes(settings.trust)) {
+        throw new Error(`Unknown trust level "${settings.trust}", expected one of ${trustLevels.join(', ')}`);
+    }
+
+    const sanitize = settings.trust !== 'trusted';
+    const disabled = new Set(settings.disabledPlugins);
+    // Everything but the core and the sanitizing steps is guarded, and left
+    // out once it has failed or if it couldn't be loaded
+    const optional = (name) => {
+        const plugin = modules[name] ?? ownPlugins[name];
+        return plugin && !disabled.has(name) ? guard(name, plugin) : skipped;
+    };
+
+    const toc = features.toc && optional('remarkToc') !== skipped;
+    // The fence meta rides along as a `data-meta` attribute which only
+    // rehypeCodeMeta takes off again, so it isn't added without it
+    const codeMeta = optional('rehypeCodeMeta') !== skipped;
+
+    const processor = modules.unified()
+        .use(modules.remarkParse)
+        .use(optional('remarkGfm'))
+        .use(optional('remarkMath'))
+        .use(optional('remarkFrontmatter'), ['yaml', 'toml'])
+        .use(optional('remarkDirective'))
+        .use(optional('remarkLintDirectives'))
+        .use(optional('remarkWikilinks'), features.wikilinks && { baseUrl: settings.baseUrl, readFile: settings.readFile })
+        // After embeds are inlined, so callouts in embedded notes are found too
+        .use(optional('remarkAdmonitions'))
+        // Passing `false` as a plugin's options leaves it out of the pipeline
+        .use(optional('remarkToc'), toc && { heading: settings.tocHeading })
+        .use(optional('remarkLintHeadings'), { tocHeading: toc ? settings.tocHeading : null })
+        .use(optional('sectionize'), features.sectionize)
+        .use(optional('remarkTextr'), features.ellipses && { plugins: [ellipses] })
+        .use(optional('a11yEmoji'), features.a11yEmoji)
+        .use(optional('remarkIns'), features.insSupersub)
+        .use(optional('remarkInlineSpans'), features.insSupersub)
+        .use(codeMeta ? optional('remarkCodeMeta') : skipped)
+        .use(optional('remarkCodeImport'), { baseUrl: settings.baseUrl, readFile: settings.readFile });
+
+    if (settings.trust === 'strict') {
+        processor.use(remarkEscapeHtml);
+    }
+
+    // The sanitizer adds its own clobber prefix, so don't let footnotes get two
+    processor.use(modules.remarkRehype, {
+        allowDangerousHtml: settings.trust !== 'strict',
+        ...(sanitize && { clobberPrefix: '' })
+    });
+
+    // Only what the author wrote is sanitized; the plugins after this point are ours.
+    // Without rehype-raw, raw HTML is dropped rather than let through.
+    if (settings.trust === 'safe' && modules.rehypeRaw) {
+        processor.use(modules.rehypeRaw);
+    }
+    if (sanitize) {
+        processor
+            .use(modules.rehypeSanitize, sanitizeSchema)
+            .use(rehypeClobberedLinks);
+    }
+    processor
+        .use(optional('rehypeResolveUrls'), { baseUrl: settings.baseUrl })
+        // Before the plugins below swap out nodes and lose their positions
+        .use(optional('rehypeSourceLines'), settings.sourceLines)
+        .use(optional('rehypeTaskOffsets'), settings.taskOffsets)
+        .use(optional('rehypeFrontmatterCard'));
+
+    return processor
+        // Bad TeX is rendered as an inline `.katex-error` marker instead of throwing
+        .use(optional('rehypeKatex'), { throwOnError: false, errorColor: 'var(--error-color)' })
+        .use(optional('rehypeSlug'))
+        .use(optional('rehypeLintFragments'))
+        .use(optional('rehypeAutolinkHeadings'), features.headingAnchors && {
+            behavior: 'prepend',
+            properties: { className: ['heading-anchor-link'] },
+            content: { type: 'text', value: settings.anchorGlyph }
+        })
+        .use(optional('rehypeNumberedHeadings'), settings.numberedHeadings)
+        // Diagrams are drawn later by the page (see mermaidDiagrams.js), so only mark them here
+        .use(optional('rehypeMermaid'))
+        .use(optional('rehypeCodeMeta'))
+        .use(optional('rehypeHighlight'))
+        .use(optional('rehypeCodeLines'))
+        .use(optional('rehypeCodeLanguageIcons'), features.languageIcons)
+        .use(optional('rehypeAdmonitions'))
+        .use(modules.rehypeStringify, { allowDangerousHtml: settings.trust === 'trusted' });
+}
+
+/**
+ * Returns a frozen processor for the options, building it only the first time.
+ * Functions such as `readFile` aren't part of the cache key, so leave them out
+ * and pass them to each run instead (see `prepareFile()`).
+ * @param {Object} [options] - Overrides for `defaultOptions`
+ * @returns {Promise<Object>} - A configured unified processor
+ */
+export function getProcessor(options = {}) {
+    const key = JSON.stringify(options);
+    if (!processorCache.has(key)) {
+        if (processorCache.size >= PROCESSOR_CACHE_SIZE) {
+            processorCache.delete(processorCache.keys().next().value);
+        }
+        const processor = createProcessor(options).then(built => built.freeze());
+        processor.catch(() => processorCache.delete(key));
+        processorCache.set(key, processor);
+    }
+    return processorCache.get(key);
+}
+
+// Reads the frontmatter, then picks the processor for the options it leaves
+async function prepareFile(markdown, options) {
+    const { data, format, error } = parseFrontmatter(markdown);
+    const own = documentOptions(data);
+
+    // The processor is shared between renders, but the worker reads files
+    // through a different `readFile` for each, so that goes with the file
+    const { readFile, ...processorOptions } = options;
+    const processor = await getProcessor({
+        ...processorOptions,
+        ...own.options,
+        features: { ...options.features, ...own.options.features }
+    });
+    const file = new VFile({ value: markdown, data: { frontmatter: data, theme: own.theme, readFile } });
+
+    if (error) {
+        file.message(`Could not parse ${format.toUpperCase()} frontmatter: ${error.message}`);
+    }
+    // Shown as text in the page, so a list or an object would read "[object Object]"
+    for (const key of ['title', 'description']) {
+        if (data[key] != null && frontmatterText(data[key]) === null) {
+            file.message(`The frontmatter "${key}" isn't text, so it is left out`, { source: 'izysays', ruleId: 'frontmatter-text' });
+        }
+    }
+    return { processor, file };
+}
+
+// Parses and transforms the markdown. When a plugin throws, the render starts
+// over without it; when anything else does, it starts over as plain CommonMark.
+async function transformFile(markdown, options, lap = () => {}) {
+    const failed = new Map();
+    let coreError = null;
+
+    for (;;) {
+        try {
+            const { processor, file } = await prepareFile(markdown, {
+                ...options,
+                ...(failed.size && { disabledPlugins: [...(options.disabledPlugins || []), ...failed.keys()] }),
+                ...(coreError && { plain: true })
+            });
+            lap('setup');
+            const mdast = processor.parse(file);
+            lap('parse');
+            const tree = await processor.run(mdast, file);
+            lap('transform');
+
+            await reportDisabled(file, failed, coreError);
+            return { processor, file, tree };
+        } catch (error) {
+            if (coreError) throw error;
+            if (error.plugin && !failed.has(error.plugin)) {
+                console.warn(`zysays: ${error.plugin} failed, rendering again without it.`, error);
+                failed.set(error.plugin, error);
+            } else {
+                console.warn('zysays: Rendering failed, falling back to plain CommonMark.', error);
+                coreError = error;
+            }
+        }
+    }
+}
+
+// Lists what the render went without in `file.data.disabled`, as
+// `{ plugin, reason }` (plugin is null for the plain CommonMark fallback),
+// and as a message for each
+async function reportDisabled(file, failed, coreError) {
+    const { unavailable } = await loadModules();
+    const disabled = coreError
+        ? [{ plugin: null, reason: coreError.message }]
+        : [
+            ...Array.from(unavailable, ([plugin, error]) => ({ plugin, reason: `could not be loaded (${error.message})` })),
+            ...Array.from(failed, ([plugin, error]) => ({ plugin, reason: error.message }))
+        ];
+
+    file.data.disabled = disabled;
+    for (const { plugin, reason } of disabled) {
+        const what = plugin ? `Rendered without ${plugin}` : 'Rendered as plain CommonMark';
+        file.message(`${what}: ${reason}`, { source: 'izysays', ruleId: 'plugin-failed' });
+    }
+}
+
+/**
+ * Renders a markdown file, letting its frontmatter adjust the options
+ * @param {string} markdown - The markdown source
+ * @param {Object} [options] - Overrides for `defaultOptions`
+ * @returns {Promise<Object>} - The vfile; `String(file)` is the HTML and
+ *   `file.data.frontmatter`/`file.data.theme` hold what the frontmatter set
+ */
+export async function renderFile(markdown, options = {}) {
+    const { processor, file, tree } = await transformFile(markdown, options);
+    file.value = processor.stringify(tree, file);
+    return file;
+}
+
+// Splits the tree into `{ depth, html }` pieces. A <section> (from sectionize)
+// is sent as an empty shell and its children follow one level deeper, so a
+// document that is one big section still arrives a heading at a time.
+function* treePieces(processor, file, nodes, depth = 0) {
+    for (const node of nodes) {
+        if (node.type === 'element' && node.tagName === 'section' && node.children.length) {
+            const shell = { ...node, children: [] };
+            yield { depth, html: processor.stringify({ type: 'root', children: [shell] }, file) };
+            yield* treePieces(processor, file, node.children, depth + 1);
+        } else {
+            yield { depth, html: processor.stringify({ type: 'root', children: [node] }, file) };
+        }
+    }
+}
+
+/**
+ * Renders a markdown file in batches, so a long document can be shown before
+ * all of it is turned into HTML. Each piece is appended to the element found
+ * by going `depth` times into the last element child of the container.
+ * @param {string} markdown - The markdown source
+ * @param {Object} [options] - Overrides for `defaultOptions`
+ * @param {Function} onBatch - Called with `(pieces, file)` for each batch, in
+ *   order. May return a promise, which is waited for.
+ * @returns {Promise<Object>} - The vfile, without a value; `file.data.timings`
+ *   has the time spent in each step in milliseconds
+ */
+export async function renderSections(markdown, options, onBatch) {
+    const timings = {};
+    let start = performance.now();
+    const lap = (step) => {
+        const now = performance.now();
+        timings[step] = Math.round(now - start);
+        start = now;
+    };
+
+    const { processor, file, tree: hast } = await transformFile(markdown, options, lap);
+
+    let batch = [];
+    let size = 0;
+    let sent = 0;
+    for (const piece of treePieces(processor, file, hast.children)) {
+        batch.push(piece);
+        size += piece.html.length;
+        if (size >= (sent === 0 ? FIRST_BATCH_SIZE : SECTION_BATCH_SIZE)) {
+            await onBatch(batch, file);
+            batch = [];
+            size = 0;
+            sent++;
+        }
+    }
+    if (batch.length || sent === 0) await onBatch(batch, file);
+    lap('stringify');
+
+    file.data.timings = timings;
+    return file;
+}
+
+const severities = { true: 'error', false: 'warning' };
+
+/**
+ * The parts of a rendered file the page needs, as plain data that can be
+ * posted from a worker
+ * @param {Object} file - A vfile from `renderFile()` or `renderSections()`
+ * @returns {Object} - `{ frontmatter, theme, disabled, messages }`; each message is
+ *   `{ reason, severity, line, column, ruleId, actual }`
+ */
+export function summarizeFile(file) {
+    return {
+        frontmatter: file.data.frontmatter,
+        theme: file.data.theme,
+        disabled: file.data.disabled || [],
+        messages: file.messages.map(message => ({
+            reason: message.reason,
+            severity: severities[message.fatal] || 'info',
+            line: message.line ?? null,
+            column: message.column ?? null,
+            ruleId: message.ruleId ?? null,
+            actual: message.actual ?? null
+        }))
+    };
+}
+
+/**
+ * Renders a markdown string to an HTML fragment
+ * @param {string} markdown - The markdown source
+ * @param {Object} [options] - Overrides for `defaultOptions`
+ * @returns {Promise<string>} - The rendered HTML
+ */
+export async function renderToHtml(markdown, options = {}) {
+    const file = await renderFile(markdown, options);
+    return String(file);
+}
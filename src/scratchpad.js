@@ -0,0 +1,9 @@
+// scratchpad.js - Renders the markdown pasted into the popup's scratchpad
+// The draft is put where content.js expects a raw file, a <pre>, and then the
+// content script itself does the rendering, so the output matches a real file.
+
+import { loadScratchpad } from './recentFiles.js';
+
+const markdown = await loadScratchpad();
+document.getElementById('scratchpad-source').textContent = markdown || '*The scratchpad is empty.*';
+await import('./content.js');
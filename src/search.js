@@ -0,0 +1,442 @@
+// search.js - Search overlay for the rendered page, with results grouped by section
+// The text is indexed per block under the heading (and its rehype-slug id) it
+// falls under; code blocks are kept apart as their own category. Hits are
+// highlighted in place with the CSS Custom Highlight API, so the page itself
+// isn't touched, and closed <details> are searched and opened like the rest.
+
+import { iconMarkup } from './icons.js';
+import { getSourceMode, setSourceMode } from './sourceView.js';
+
+const HEADINGS = 'h1, h2, h3, h4, h5, h6';
+// Each text node belongs to the closest of these
+const BLOCKS = `pre, ${HEADINGS}, p, li, dt, dd, th, td, summary, figcaption, .admonition-title, blockquote`;
+// Page furniture and text that isn't shown as such
+const SKIP = '.heading-anchor-link, .copy-code-button, .language-icon, .task-count, .task-progress, .mermaid-toggle, .katex, .backlinks, svg, style, script';
+const MAX_RESULTS = 60;
+const MAX_HITS = 2000;
+// Most characters allowed between two letters of a fuzzy match
+const MAX_GAP = 3;
+const SNIPPET_BEFORE = 40;
+const SNIPPET_LENGTH = 140;
+
+let container = null;
+let overlay = null;
+let input = null;
+let results = null;
+let counter = null;
+// `{ kind, heading, element, text, lower, pieces }` per block, in page order
+let index = null;
+// 'all', 'text' or 'code'
+let category = 'all';
+// Literal hits in page order, `{ entry, start, end, range }`
+let hits = [];
+let current = -1;
+
+// -----------------------------------------------------------------------------
+// INDEX
+// -----------------------------------------------------------------------------
+
+function buildIndex() {
+    const entries = new Map();
+    let heading = null;
+
+    const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, {
+        acceptNode: node => (node.parentElement.closest(SKIP) || !node.data ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT)
+    });
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        const block = node.parentElement.closest(BLOCKS) || node.parentElement;
+        if (!container.contains(block)) continue;
+
+        let entry = entries.get(block);
+        if (!entry) {
+            const isHeading = block.matches(HEADINGS) && block.id;
+            entry = {
+                kind: block.matches('pre') ? 'code' : 'text',
+                heading: isHeading ? null : heading,
+                element: block,
+                text: '',
+                pieces: []
+            };
+            if (isHeading) heading = entry;
+            entries.set(block, entry);
+        }
+        entry.pieces.push({ node, start: entry.text.length });
+        entry.text += node.data;
+    }
+
+    const built = Array.from(entries.values()).filter(entry => entry.text.trim());
+    for (const entry of built) entry.lower = entry.text.toLowerCase();
+    return built;
+}
+
+function ensureIndex() {
+    if (!index) index = buildIndex();
+    return index;
+}
+
+// -----------------------------------------------------------------------------
+// MATCHING
+// -----------------------------------------------------------------------------
+
+function isWordStart(text, position) {
+    return position === 0 || !/[\p{L}\p{N}]/u.test(text[position - 1]);
+}
+
+// A substring scores best, more so at the start of a word; otherwise the
+// letters in order, close together, score a little
+function termScore(text, term) {
+    const found = text.indexOf(term);
+    if (found !== -1) {
+        for (let at = found; at !== -1; at = text.indexOf(term, at + 1)) {
+            if (isWordStart(text, at)) return 4;
+        }
+        return 3;
+    }
+    if (term.length < 3) return 0;
+
+    for (let start = text.indexOf(term[0]); start !== -1; start = text.indexOf(term[0], start + 1)) {
+        let position = start;
+        let matched = 1;
+        while (matched < term.length) {
+            const next = text.indexOf(term[matched], position + 1);
+            if (next === -1 || next - position > MAX_GAP + 1) break;
+            position = next;
+            matched++;
+        }
+        if (matched === term.length) return 1;
+    }
+    return 0;
+}
+
+// Every term has to match; headings count double, and of equal scores the
+// shorter text is the closer match
+function entryScore(entry, terms) {
+    let score = 0;
+    for (const term of terms) {
+        const termResult = termScore(entry.lower, term);
+        if (!termResult) return 0;
+        score += termResult;
+    }
+    const isHeading = entry.element.matches(HEADINGS);
+    return score * (isHeading ? 2 : 1) - Math.min(entry.text.length, 2000) / 10000;
+}
+
+function termsOf(query) {
+    return query.toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+function findHits(entries, terms) {
+    const found = [];
+    for (const entry of entries) {
+        for (const term of terms) {
+            for (let at = entry.lower.indexOf(term); at !== -1 && found.length < MAX_HITS; at = entry.lower.indexOf(term, at + term.length)) {
+                found.push({ entry, start: at, end: at + term.length });
+            }
+        }
+    }
+    const order = new Map(index.map((entry, position) => [entry, position]));
+    return found.sort((a, b) => order.get(a.entry) - order.get(b.entry) || a.start - b.start);
+}
+
+// -----------------------------------------------------------------------------
+// HIGHLIGHTS
+// -----------------------------------------------------------------------------
+
+// The text node and offset for a position in an entry's text; an end position
+// stays in the node before it
+function pointAt(entry, offset, isEnd) {
+    for (let position = entry.pieces.length - 1; position >= 0; position--) {
+        const piece = entry.pieces[position];
+        if (piece.start < offset || (piece.start === offset && !isEnd)) {
+            return [piece.node, offset - piece.start];
+        }
+    }
+    return [entry.pieces[0].node, 0];
+}
+
+function rangeOf(hit) {
+    if (!hit.range) {
+        hit.range = new Range();
+        hit.range.setStart(...pointAt(hit.entry, hit.start, false));
+        hit.range.setEnd(...pointAt(hit.entry, hit.end, true));
+    }
+    return hit.range;
+}
+
+function showHighlights() {
+    // Without the Highlight API, stepping through hits still works
+    if (!window.CSS?.highlights) return;
+    CSS.highlights.set('zysays-search', new Highlight(...hits.map(rangeOf)));
+    if (hits[current]) CSS.highlights.set('zysays-search-current', new Highlight(rangeOf(hits[current])));
+    else CSS.highlights.delete('zysays-search-current');
+}
+
+function clearHighlights() {
+    CSS.highlights?.delete('zysays-search');
+    CSS.highlights?.delete('zysays-search-current');
+}
+
+// Opens whatever folds the element away, then scrolls to it
+function reveal(element) {
+    if (getSourceMode() === 'full') setSourceMode('off');
+    for (let details = element.closest('details'); details; details = details.parentElement.closest('details')) {
+        details.open = true;
+    }
+    element.scrollIntoView({ block: 'center' });
+}
+
+function updateCounter() {
+    counter.textContent = hits.length ? `${current + 1} of ${hits.length}` : input.value.trim() ? 'No matches' : '';
+}
+
+function goToHit(position) {
+    if (!hits.length) return;
+    current = (position + hits.length) % hits.length;
+    // The hit's own element, so a long code block scrolls to the line
+    reveal(rangeOf(hits[current]).startContainer.parentElement);
+    showHighlights();
+    updateCounter();
+}
+
+// -----------------------------------------------------------------------------
+// RESULTS
+// -----------------------------------------------------------------------------
+
+// The text around the entry's first hit, with every term marked
+function snippetOf(entry, terms) {
+    const first = Math.min(...terms.map(term => entry.lower.indexOf(term)).filter(at => at !== -1));
+    const start = Number.isFinite(first) ? Math.max(0, first - SNIPPET_BEFORE) : 0;
+    const text = entry.text.slice(start, start + SNIPPET_LENGTH).replace(/\s+/g, ' ');
+    const lower = text.toLowerCase();
+
+    const snippet = document.createElement('span');
+    snippet.className = 'search-snippet';
+    if (start > 0) snippet.append('…');
+
+    let last = 0;
+    const pattern = new RegExp(terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|'), 'g');
+    for (const match of lower.matchAll(pattern)) {
+        const mark = document.createElement('mark');
+        mark.textContent = text.slice(match.index, match.index + match[0].length);
+        snippet.append(text.slice(last, match.index), mark);
+        last = match.index + match[0].length;
+    }
+    snippet.append(text.slice(last));
+    if (start + SNIPPET_LENGTH < entry.text.length) snippet.append('…');
+    return snippet;
+}
+
+function createResultButton(className, content, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = className;
+    button.append(content);
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+// Jumps to the entry's first hit, or to the entry itself for a fuzzy match
+function openEntry(entry) {
+    const position = hits.findIndex(hit => hit.entry === entry);
+    if (position !== -1) {
+        goToHit(position);
+        return;
+    }
+    reveal(entry.element);
+}
+
+// Matches grouped under their heading; a group ranks by its best match
+function renderGroups(matches, terms) {
+    const groups = new Map();
+    for (const match of matches) {
+        const heading = match.entry.element.matches(HEADINGS) ? match.entry : match.entry.heading;
+        const group = groups.get(heading) || { heading, score: 0, entries: [] };
+        group.score = Math.max(group.score, match.score);
+        if (match.entry !== heading) group.entries.push(match.entry);
+        groups.set(heading, group);
+    }
+
+    return Array.from(groups.values())
+        .sort((a, b) => b.score - a.score)
+        .map(({ heading, entries }) => {
+            const item = document.createElement('li');
+            item.className = 'search-group';
+            const title = heading ? heading.text.trim() : 'Top of the page';
+            item.appendChild(createResultButton('search-heading', title, () => (heading ? openEntry(heading) : reveal(container))));
+
+            if (entries.length) {
+                const list = document.createElement('ul');
+                for (const entry of entries) {
+                    const result = document.createElement('li');
+                    result.appendChild(createResultButton(`search-result search-result-${entry.kind}`, snippetOf(entry, terms), () => openEntry(entry)));
+                    list.appendChild(result);
+                }
+                item.appendChild(list);
+            }
+            return item;
+        });
+}
+
+function renderCategory(label, matches, terms) {
+    const section = document.createElement('section');
+    section.className = 'search-category';
+    const title = document.createElement('h2');
+    title.textContent = label;
+    const list = document.createElement('ol');
+    list.append(...renderGroups(matches, terms));
+    section.append(title, list);
+    return section;
+}
+
+function runSearch() {
+    const terms = termsOf(input.value);
+    const entries = ensureIndex().filter(entry => category === 'all' || entry.kind === category);
+
+    const matches = terms.length
+        ? entries.map(entry => ({ entry, score: entryScore(entry, terms) }))
+            .filter(match => match.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, MAX_RESULTS)
+        : [];
+
+    hits = terms.length ? findHits(matches.map(match => match.entry), terms) : [];
+    current = -1;
+    showHighlights();
+    updateCounter();
+
+    const text = matches.filter(match => match.entry.kind === 'text');
+    const code = matches.filter(match => match.entry.kind === 'code');
+    results.replaceChildren(
+        ...(text.length ? [renderCategory('Text', text, terms)] : []),
+        ...(code.length ? [renderCategory('Code', code, terms)] : [])
+    );
+    for (const button of overlay.querySelectorAll('.search-categories button')) {
+        button.setAttribute('aria-pressed', String(button.value === category));
+    }
+}
+
+// -----------------------------------------------------------------------------
+// OVERLAY
+// -----------------------------------------------------------------------------
+
+function onKeydown(event) {
+    if (event.key === 'Escape') {
+        event.preventDefault();
+        closeSearch();
+    } else if (event.key === 'Enter' && event.target === input) {
+        event.preventDefault();
+        goToHit(current === -1 && event.shiftKey ? -1 : current + (event.shiftKey ? -1 : 1));
+    }
+}
+
+function createOverlay() {
+    overlay = document.createElement('div');
+    overlay.id = 'zysays-search';
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-label', 'Search this page');
+    overlay.hidden = true;
+
+    const bar = document.createElement('div');
+    bar.className = 'search-bar';
+
+    input = document.createElement('input');
+    input.type = 'search';
+    input.placeholder = 'Search this page';
+    input.setAttribute('aria-label', 'Search this page');
+    input.addEventListener('input', runSearch);
+
+    counter = document.createElement('span');
+    counter.className = 'search-counter';
+    counter.setAttribute('aria-live', 'polite');
+
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.innerHTML = iconMarkup('x');
+    close.title = 'Close (Esc)';
+    close.addEventListener('click', closeSearch);
+    bar.append(input, counter, close);
+
+    const categories = document.createElement('div');
+    categories.className = 'search-categories';
+    for (const [value, label] of [['all', 'All'], ['text', 'Text'], ['code', 'Code']]) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.value = value;
+        button.textContent = label;
+        button.addEventListener('click', () => {
+            category = value;
+            runSearch();
+            input.focus();
+        });
+        categories.appendChild(button);
+    }
+
+    const hint = document.createElement('p');
+    hint.className = 'search-hint';
+    hint.textContent = 'Enter and Shift+Enter step through the matches on the page';
+
+    results = document.createElement('div');
+    results.className = 'search-results';
+
+    overlay.append(bar, categories, hint, results);
+    overlay.addEventListener('keydown', onKeydown);
+    document.body.appendChild(overlay);
+}
+
+/**
+ * Opens the search overlay, with any text selected on the page as the query
+ */
+export function openSearch() {
+    if (!overlay) createOverlay();
+    // Diagrams, task counts and the like change the page after rendering
+    index = null;
+    const selected = window.getSelection().toString().trim();
+    if (selected && !selected.includes('\n')) input.value = selected;
+
+    overlay.hidden = false;
+    document.querySelector('.search-button')?.setAttribute('aria-pressed', 'true');
+    input.focus();
+    input.select();
+    runSearch();
+}
+
+/**
+ * Closes the search overlay and clears its highlights
+ */
+export function closeSearch() {
+    if (!overlay || overlay.hidden) return;
+    overlay.hidden = true;
+    clearHighlights();
+    document.querySelector('.search-button')?.setAttribute('aria-pressed', 'false');
+}
+
+/**
+ * Drops the index after a re-render, searching again if the overlay is open
+ */
+export function refreshSearch() {
+    index = null;
+    if (overlay && !overlay.hidden) runSearch();
+}
+
+/**
+ * Hooks search up to the rendered content
+ * @param {Element} content - The rendered markdown container
+ */
+export function setupSearch(content) {
+    container = content;
+}
+
+/**
+ * Builds the toolbar button that opens search
+ * @returns {Element}
+ */
+export function createSearchButton() {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'search-button';
+    button.textContent = 'Search';
+    button.title = 'Search this page (Ctrl+K or /)';
+    button.setAttribute('aria-pressed', 'false');
+    button.addEventListener('click', () => (overlay && !overlay.hidden ? closeSearch() : openSearch()));
+    return button;
+}
@@ -0,0 +1,101 @@
+// settings.js - User settings kept in chrome.storage.local
+// Shared by the content script and the options page. Local rather than sync
+// storage, since trusted file paths only make sense on the machine they're on.
+
+import { defaultOptions, trustLevels } from './renderer.js';
+
+export const defaultSettings = {
+    features: { ...defaultOptions.features },
+    tocHeading: defaultOptions.tocHeading,
+    anchorGlyph: defaultOptions.anchorGlyph,
+    trustLevel: defaultOptions.trust,
+    trustedPaths: [],
+    liveReload: false,
+    backlinks: false,
+    theme: 'auto',
+    userCss: ''
+};
+
+// Labels for the feature toggles, in the order the options page lists them
+export const featureLabels = {
+    toc: 'Table of contents under a matching heading',
+    sectionize: 'Wrap heading sections in <section> elements',
+    ellipses: 'Turn ... into an ellipsis (…)',
+    a11yEmoji: 'Accessible labels for emoji',
+    insSupersub: '++inserted++, ==marked==, ^superscript^ and _-subscript-_ syntax',
+    headingAnchors: 'Anchor links on headings',
+    languageIcons: 'Language badges on code blocks',
+    wikilinks: '[[Wikilinks]] and ![[embeds]] of other notes'
+};
+
+function withDefaults(stored) {
+    const settings = {
+        ...defaultSettings,
+        ...stored,
+        features: { ...defaultSettings.features, ...stored.features }
+    };
+    // A trust level stored by another version, or by hand, would stop every render
+    if (!trustLevels.includes(settings.trustLevel)) {
+        console.warn(`zysays: Unknown trust level "${settings.trustLevel}", using "${defaultSettings.trustLevel}"`);
+        settings.trustLevel = defaultSettings.trustLevel;
+    }
+    return settings;
+}
+
+/**
+ * Reads the settings, filling in defaults for anything not stored yet
+ * @returns {Promise<Object>}
+ */
+export async function loadSettings() {
+    try {
+        const stored = await chrome.storage.local.get(Object.keys(defaultSettings));
+        return withDefaults(stored);
+    } catch (error) {
+        console.warn('zysays: Could not read settings, using defaults:', error);
+        return withDefaults({});
+    }
+}
+
+/**
+ * Stores some or all of the settings
+ * @param {Object} changes - Top-level settings keys to overwrite
+ * @returns {Promise<void>}
+ */
+export function saveSettings(changes) {
+    return chrome.storage.local.set(changes);
+}
+
+/**
+ * Resets every setting to its default
+ * @returns {Promise<void>}
+ */
+export function resetSettings() {
+    return chrome.storage.local.remove(Object.keys(defaultSettings));
+}
+
+/**
+ * Calls back with the full settings whenever any of them change
+ * @param {Function} callback
+ */
+export function onSettingsChanged(callback) {
+    chrome.storage.onChanged.addListener(async (changes, area) => {
+        if (area !== 'local') return;
+        if (!Object.keys(changes).some(key => key in defaultSettings)) return;
+        callback(await loadSettings());
+    });
+}
+
+/**
+ * Turns the stored settings into renderer options for a file
+ * @param {Object} settings - As returned by `loadSettings()`
+ * @param {string} path - The file's pathname
+ * @returns {Object} - Options for `createProcessor()`/`renderToHtml()`
+ */
+export function toRenderOptions(settings, path) {
+    return {
+        features: settings.features,
+        tocHeading: settings.tocHeading,
+        anchorGlyph: settings.anchorGlyph,
+        trust: settings.trustedPaths.includes(path) ? 'trusted' : settings.trustLevel
+    };
+}
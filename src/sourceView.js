@@ -0,0 +1,159 @@
+// sourceView.js - The raw markdown with line numbers, shown beside or instead of the page
+// Rendered blocks carry `data-source-lines` (see plugins/sourceLines.js), so a
+// click on either side finds and highlights the matching part of the other.
+
+const INTERACTIVE = 'a, button, input, select, textarea, summary, label';
+
+let container = null;
+let source = null;
+let markdown = '';
+// 'off', 'split' (side by side) or 'full' (source instead of the page)
+let mode = 'off';
+let targetBlock = null;
+
+/**
+ * @param {Element} block - An element with `data-source-lines`
+ * @returns {number[]} - First and last line, 1-based
+ */
+function sourceRange(block) {
+    const [start, end] = block.dataset.sourceLines.split('-').map(Number);
+    return [start, end];
+}
+
+/**
+ * Finds the innermost rendered block containing a source line, or else the
+ * first one after it, for blank lines between blocks
+ * @param {number} line - 1-based line in the markdown
+ * @returns {Element|null}
+ */
+export function blockForLine(line) {
+    let best = null;
+    let bestSpan = Infinity;
+    let next = null;
+
+    for (const block of container.querySelectorAll('[data-source-lines]')) {
+        const [start, end] = sourceRange(block);
+        // `<=` so that of equal ranges the later, nested one wins
+        if (start <= line && line <= end && end - start <= bestSpan) {
+            best = block;
+            bestSpan = end - start;
+        } else if (!next && start > line) {
+            next = block;
+        }
+    }
+    return best || next;
+}
+
+function fillSource() {
+    const lines = markdown.split(/\r?\n/);
+    source.replaceChildren(...lines.map((text, index) => {
+        const line = document.createElement('span');
+        line.className = 'source-line';
+        line.dataset.line = index + 1;
+        line.textContent = `${text}\n`;
+        return line;
+    }));
+}
+
+function highlight(block) {
+    targetBlock?.classList.remove('source-target');
+    targetBlock = block;
+    block.classList.add('source-target');
+
+    for (const line of source.querySelectorAll('.source-highlight')) {
+        line.classList.remove('source-highlight');
+    }
+    const [start, end] = sourceRange(block);
+    for (let number = start; number <= end; number++) {
+        source.children[number - 1]?.classList.add('source-highlight');
+    }
+}
+
+function onRenderedClick(event) {
+    if (mode !== 'split' || event.target.closest(INTERACTIVE)) return;
+    const block = event.target.closest('[data-source-lines]');
+    if (!block || !container.contains(block)) return;
+
+    highlight(block);
+    const [start] = sourceRange(block);
+    source.children[start - 1]?.scrollIntoView({ block: 'center' });
+}
+
+function onSourceClick(event) {
+    const line = event.target.closest('.source-line');
+    // Leave text selection alone
+    if (!line || !window.getSelection().isCollapsed) return;
+
+    const block = blockForLine(Number(line.dataset.line));
+    if (!block) return;
+
+    if (mode === 'full') setSourceMode('off');
+    highlight(block);
+    block.scrollIntoView({ block: 'center' });
+}
+
+/**
+ * Switches between the rendered page, the page with its source beside it,
+ * and the source on its own
+ * @param {string} newMode - 'off', 'split' or 'full'
+ */
+export function setSourceMode(newMode) {
+    mode = newMode;
+
+    if (mode !== 'off' && !source) {
+        source = document.createElement('pre');
+        source.id = 'zysays-source';
+        source.setAttribute('aria-label', 'Markdown source');
+        source.addEventListener('click', onSourceClick);
+        container.after(source);
+        fillSource();
+    }
+
+    if (source) source.hidden = mode === 'off';
+    container.hidden = mode === 'full';
+    document.body.classList.toggle('source-split', mode === 'split');
+    document.querySelector('.source-button')?.setAttribute('aria-pressed', String(mode === 'split'));
+}
+
+/**
+ * @returns {string} - The current mode, see `setSourceMode()`
+ */
+export function getSourceMode() {
+    return mode;
+}
+
+/**
+ * Shows new markdown after a re-render
+ * @param {string} newMarkdown
+ */
+export function updateSourceView(newMarkdown) {
+    markdown = newMarkdown;
+    targetBlock = null;
+    if (source) fillSource();
+}
+
+/**
+ * Hooks the source view up to the rendered content
+ * @param {Element} content - The rendered markdown container
+ * @param {string} initialMarkdown - The markdown it was rendered from
+ */
+export function setupSourceView(content, initialMarkdown) {
+    container = content;
+    markdown = initialMarkdown;
+    container.addEventListener('click', onRenderedClick);
+}
+
+/**
+ * Builds the toolbar button that puts the source beside the page
+ * @returns {Element}
+ */
+export function createSourceButton() {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'source-button';
+    button.textContent = 'Source';
+    button.title = 'Show the markdown beside the page (Alt+U)';
+    button.setAttribute('aria-pressed', String(mode === 'split'));
+    button.addEventListener('click', () => setSourceMode(mode === 'split' ? 'off' : 'split'));
+    return button;
+}
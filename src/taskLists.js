@@ -0,0 +1,234 @@
+// taskLists.js - Tickable task lists with progress counts, remembered per file
+// A file:// page can't write to disk, so ticks are kept in chrome.storage and
+// the file with them applied can be copied or downloaded instead. Checkboxes
+// know where their `[ ]` is from `data-task-offset` (see plugins/taskLists.js).
+
+import { iconMarkup } from './icons.js';
+
+const TASKS = 'input[data-task-offset]';
+const HEADINGS = 'h1, h2, h3, h4, h5, h6';
+const OWN_TASKS = ':scope > li > input[data-task-offset], :scope > li > p:first-child > input[data-task-offset]';
+
+let container = null;
+// chrome.storage key for the open file, or null to keep ticks in memory only
+let storageKey = null;
+let markdown = '';
+// Task key to checked state, only for tasks that differ from the file
+let overrides = {};
+let actions = null;
+
+// A task is known by its line with the box cleared, plus how many identical
+// lines came before it, so ticks survive edits elsewhere in the file
+function keyTasks(boxes) {
+    const seen = new Map();
+    for (const box of boxes) {
+        const offset = Number(box.dataset.taskOffset);
+        const lineStart = markdown.lastIndexOf('\n', offset) + 1;
+        const lineEnd = markdown.indexOf('\n', offset);
+        const line = `${markdown.slice(lineStart, offset)}[ ]${markdown.slice(offset + 3, lineEnd === -1 ? undefined : lineEnd)}`.trim();
+
+        const count = seen.get(line) || 0;
+        seen.set(line, count + 1);
+        box.dataset.taskKey = `${count}:${line}`;
+    }
+}
+
+function checkedInFile(box) {
+    return markdown[Number(box.dataset.taskOffset) + 1] !== ' ';
+}
+
+async function loadOverrides() {
+    if (!storageKey) return overrides;
+    try {
+        const stored = await chrome.storage.local.get(storageKey);
+        return stored[storageKey] || {};
+    } catch (error) {
+        console.warn('zysays: Could not read task list state:', error);
+        return {};
+    }
+}
+
+function saveOverrides() {
+    if (!storageKey) return Promise.resolve();
+    const request = Object.keys(overrides).length
+        ? chrome.storage.local.set({ [storageKey]: overrides })
+        : chrome.storage.local.remove(storageKey);
+    return request.catch(error => console.warn('zysays: Could not save task list state:', error));
+}
+
+function setChecked(box, checked) {
+    box.checked = checked;
+    // The attribute too, so an exported copy shows the same ticks
+    box.toggleAttribute('checked', checked);
+}
+
+function progressMarkup(done, total) {
+    return `<progress max="${total}" value="${done}"></progress> ${done}/${total}`;
+}
+
+// A bar before each list with its own items, and a count after each heading
+// whose section holds tasks, nested sections included
+function updateProgress() {
+    const boxes = Array.from(container.querySelectorAll(TASKS));
+
+    container.querySelectorAll('.task-progress, .task-count').forEach(element => element.remove());
+    for (const list of container.querySelectorAll('ul.contains-task-list, ol.contains-task-list')) {
+        const own = Array.from(list.querySelectorAll(OWN_TASKS));
+        if (own.length < 2) continue;
+
+        const bar = document.createElement('div');
+        bar.className = 'task-progress';
+        bar.innerHTML = progressMarkup(own.filter(box => box.checked).length, own.length);
+        list.before(bar);
+    }
+
+    const open = [];
+    const counts = new Map();
+    for (const element of container.querySelectorAll(`${HEADINGS}, ${TASKS}`)) {
+        if (element.matches(HEADINGS)) {
+            const level = Number(element.tagName[1]);
+            while (open.length && Number(open[open.length - 1].tagName[1]) >= level) open.pop();
+            open.push(element);
+            continue;
+        }
+        for (const heading of open) {
+            const count = counts.get(heading) || { done: 0, total: 0 };
+            count.total++;
+            if (element.checked) count.done++;
+            counts.set(heading, count);
+        }
+    }
+    counts.forEach(({ done, total }, heading) => {
+        const badge = document.createElement('span');
+        badge.className = 'task-count';
+        badge.textContent = `${done}/${total}`;
+        badge.title = `${done} of ${total} tasks done`;
+        heading.appendChild(badge);
+    });
+
+    if (actions) actions.hidden = Object.keys(overrides).length === 0 || !boxes.length;
+}
+
+function onChange(event) {
+    const box = event.target;
+    if (!box.matches(TASKS)) return;
+
+    const key = box.dataset.taskKey;
+    if (box.checked === checkedInFile(box)) delete overrides[key];
+    else overrides[key] = box.checked;
+
+    setChecked(box, box.checked);
+    updateProgress();
+    saveOverrides();
+}
+
+/**
+ * @returns {string} - The markdown with every remembered tick written into its `[ ]`
+ */
+export function updatedMarkdown() {
+    const edits = Array.from(container.querySelectorAll(TASKS))
+        .filter(box => box.dataset.taskKey in overrides)
+        .map(box => ({ offset: Number(box.dataset.taskOffset) + 1, checked: overrides[box.dataset.taskKey] }))
+        .sort((a, b) => a.offset - b.offset);
+
+    let result = '';
+    let last = 0;
+    for (const { offset, checked } of edits) {
+        result += markdown.slice(last, offset) + (checked ? 'x' : ' ');
+        last = offset + 1;
+    }
+    return result + markdown.slice(last);
+}
+
+/**
+ * Makes the rendered checkboxes tickable and restores the remembered ticks.
+ * Call again after every re-render.
+ * @param {string} newMarkdown - The markdown the container was rendered from
+ * @returns {Promise<void>}
+ */
+export async function renderTaskLists(newMarkdown) {
+    markdown = newMarkdown;
+    const boxes = Array.from(container.querySelectorAll(TASKS));
+    keyTasks(boxes);
+
+    // Forget ticks the file has caught up with, and those of removed items
+    const stored = await loadOverrides();
+    overrides = {};
+    for (const box of boxes) {
+        const key = box.dataset.taskKey;
+        if (key in stored && stored[key] !== checkedInFile(box)) overrides[key] = stored[key];
+
+        box.disabled = false;
+        setChecked(box, overrides[key] ?? checkedInFile(box));
+    }
+
+    updateProgress();
+    if (storageKey) await saveOverrides();
+}
+
+/**
+ * Hooks task lists up to the rendered content
+ * @param {Element} content - The rendered markdown container
+ * @param {string|null} path - The file's path, or null to not remember ticks
+ */
+export function setupTaskLists(content, path) {
+    container = content;
+    storageKey = path && `tasks:${path}`;
+    container.addEventListener('change', onChange);
+}
+
+function fileName() {
+    return decodeURIComponent(window.location.pathname.split('/').pop()) || 'tasks.md';
+}
+
+function createButton(text, title, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = text;
+    button.title = title;
+    button.addEventListener('click', onClick);
+    return button;
+}
+
+/**
+ * Builds the toolbar buttons for getting the file with ticks applied; they
+ * only show while some tick differs from the file
+ * @returns {Element}
+ */
+export function createTaskActions() {
+    actions = document.createElement('span');
+    actions.className = 'task-actions';
+    actions.hidden = true;
+
+    const copy = createButton('Copy .md', 'Copy the markdown with your ticks applied', async () => {
+        try {
+            await navigator.clipboard.writeText(updatedMarkdown());
+            copy.textContent = 'Copied';
+        } catch (error) {
+            console.error('zysays: Could not copy the markdown:', error);
+            copy.innerHTML = iconMarkup('x');
+        }
+        setTimeout(() => {
+            copy.textContent = 'Copy .md';
+        }, 2000);
+    });
+
+    const download = createButton('Save .md', 'Download the markdown with your ticks applied', () => {
+        const url = URL.createObjectURL(new Blob([updatedMarkdown()], { type: 'text/markdown' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName();
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    });
+
+    const discard = createButton('Discard ticks', 'Go back to the ticks in the file', () => {
+        overrides = {};
+        container.querySelectorAll(TASKS).forEach(box => setChecked(box, checkedInFile(box)));
+        updateProgress();
+        saveOverrides();
+    });
+
+    actions.append(copy, download, discard);
+    return actions;
+}
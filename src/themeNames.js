@@ -0,0 +1,10 @@
+// themeNames.js - The themes there are, keyed by the name stored in settings
+// Kept apart from themes.js so the renderer and its worker can check a
+// frontmatter `theme:` without pulling in page code.
+
+export const themes = {
+    auto: 'Auto (follow system)',
+    light: 'Light',
+    dark: 'Dark',
+    'high-contrast': 'High contrast'
+};
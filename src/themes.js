@@ -0,0 +1,99 @@
+// themes.js - Light, dark and high-contrast themes plus the user's own CSS
+// The palettes themselves live in style.css under :root[data-theme="…"].
+
+import { themes } from './themeNames.js';
+
+const USER_CSS_ID = 'zysays-user-css';
+const DARK_QUERY = '(prefers-color-scheme: dark)';
+
+let currentTheme = 'auto';
+let followingSystem = false;
+const listeners = new Set();
+
+/**
+ * @param {string} theme - One of the keys of `themes`
+ * @returns {string} - The palette to use, with "auto" resolved against the OS
+ */
+export function resolveTheme(theme) {
+    if (theme === 'auto' || !(theme in themes)) {
+        return window.matchMedia(DARK_QUERY).matches ? 'dark' : 'light';
+    }
+    return theme;
+}
+
+function updateRoot() {
+    const resolved = resolveTheme(currentTheme);
+    if (document.documentElement.dataset.theme === resolved) return;
+
+    document.documentElement.dataset.theme = resolved;
+    listeners.forEach(listener => listener(resolved));
+}
+
+/**
+ * Switches the page to a theme
+ * @param {string} theme - One of the keys of `themes`
+ */
+export function applyTheme(theme) {
+    currentTheme = theme;
+
+    if (!followingSystem) {
+        followingSystem = true;
+        window.matchMedia(DARK_QUERY).addEventListener('change', () => {
+            if (currentTheme === 'auto') updateRoot();
+        });
+    }
+
+    updateRoot();
+}
+
+/**
+ * Calls back with the resolved palette whenever the page changes theme,
+ * including "auto" following a change of OS setting
+ * @param {Function} listener
+ */
+export function onThemeChange(listener) {
+    listeners.add(listener);
+}
+
+/**
+ * Puts the user's CSS snippet last in <head> so it wins over the bundled styles
+ * @param {string} css
+ */
+export function applyUserCss(css) {
+    let style = document.getElementById(USER_CSS_ID);
+    if (!css) {
+        style?.remove();
+        return;
+    }
+
+    if (!style) {
+        style = document.createElement('style');
+        style.id = USER_CSS_ID;
+    }
+    style.textContent = css;
+    document.head.appendChild(style);
+}
+
+/**
+ * Builds the in-page theme picker
+ * @param {string} theme - The selected theme
+ * @param {Function} onSelect - Called with the newly picked theme
+ * @returns {Element}
+ */
+export function createThemeSwitcher(theme, onSelect) {
+    const select = document.createElement('select');
+    select.className = 'theme-switcher';
+    select.title = 'Theme';
+    select.setAttribute('aria-label', 'Theme');
+
+    for (const [value, label] of Object.entries(themes)) {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    }
+
+    select.value = theme;
+    select.addEventListener('change', () => onSelect(select.value));
+    return select;
+}
@@ -4,4 +4,10 @@ import manifest from './manifest.json'
 
 export default defineConfig({
   plugins: [crx({ manifest })],
-})
\ No newline at end of file
+  build: {
+    rollupOptions: {
+      // Pages the manifest doesn't name are built only if listed here
+      input: { scratchpad: 'scratchpad.html' },
+    },
+  },
+})